@@ -3,460 +3,782 @@
 // so that progress persists even if the popup is closed.  It
 // listens for messages from the popup to start a new fetch and
 // maintains a shared state in chrome.storage.local under
-// the key `fetchState`.
+// the key `fetchState`.  The URLs a run collects are kept in
+// IndexedDB (result-store.js), so `fetchState` only carries its
+// progress.  The requests themselves are made by the harvest engine
+// (harvest.js), which this worker hosts.
 
-// Helper to pause between API requests
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+importScripts('sitemap.js', 'status-check.js', 'scope.js', 'normalise.js', 'classify.js', 'export.js', 'history-store.js', 'schedule.js', 'quota.js', 'providers.js', 'query.js', 'vault.js', 'credentials.js', 'rate-limit.js', 'result-store.js', 'result-import.js', 'badge.js', 'harvest.js');
 
-// Globals for rate‑limit management and backoff.  We start with a
-// conservative delay between any two API calls.  If we hit
-// rate limits, the delay will grow; on successful calls it will
-// gradually shrink, but never below 800ms.
-let GLOBAL_DELAY_MS = 120;
-const MAX_BACKOFF_MS = 640;
-const MAX_RETRIES = 6;
 const MAX_START_ATTEMPTS = 3;
 const ATTEMPT_RETRY_DELAY_MS = 3000;
 
 let currentFetchToken = 0;
-const REFERER_BLOCKED_MESSAGE =
-  'Google Custom Search rejected this API key because it is restricted to specific HTTP referrers. Update the key to allow requests without a referrer (e.g. remove HTTP referer restrictions or use an unrestricted key).';
-
-function isRefererBlockedError(err) {
-  if (!err) return false;
-  if (err.reason && typeof err.reason === 'string') {
-    const reason = err.reason.toLowerCase();
-    if (reason.includes('referer') || reason.includes('referrer')) return true;
-  }
-  const msg = String(err.message || '').toLowerCase();
-  return msg.includes('referer') && msg.includes('blocked');
+
+/**
+ * Build the pool of keys a run rotates through (see credentials.js),
+ * starting with the first key the provider has not refused today.
+ * @param {string} apiKey The key the run was started with.
+ * @param {string} cseId
+ * @param {string} provider Key of SEARCH_PROVIDERS.
+ * @returns {Promise<{provider: string, endpoint: string, keys: Object[], index: number, rateLimits: Object}>}
+ *   `rateLimits` are the settings of the keys' token buckets.
+ */
+async function createKeyPool(apiKey, cseId, provider) {
+  const keys = await loadCredentialPool(apiKey, cseId, provider);
+  let index = 0;
+  while (index < keys.length - 1 && (await keyExhaustedToday(keys[index].apiKey))) index++;
+  return { provider, endpoint: await providerEndpoint(provider), keys, index, rateLimits: await loadRateLimits() };
 }
 
-// Generate +/-20% jitter to break up simultaneous calls
-function jitter(ms) {
-  const delta = Math.floor(ms * 0.2);
-  return ms + (Math.random() * 2 * delta - delta);
+/**
+ * Save the fetch state: the results that changed since the last save
+ * are appended to IndexedDB, then the progress overwrites `fetchState`
+ * in chrome.storage.local with a single assignment, counting only the
+ * URLs that were written.  A failed write is retried with the next
+ * save, as the results stay queued (see flushResults).  All UI updates in
+ * the popup come through chrome.storage.onChanged listeners; the
+ * toolbar badge is updated here (badge.js).  The engine's persistState
+ * comes here (see setHarvestHost below).
+ * @param {Object} state The current fetch state.
+ */
+function storeFetchState(state) {
+  if (state && typeof state === 'object' && !Array.isArray(state)) {
+    if (state.fetchToken === undefined) {
+      state.fetchToken = currentFetchToken;
+    } else if (state.fetchToken !== currentFetchToken) {
+      return;
+    }
+  }
+  showRunBadge(state);
+  flushResults(state)
+    .catch((err) => {
+      console.error('Saving results failed; retrying with the next save', err);
+    })
+    .then(() => {
+      // A newer run or a reset may have taken over meanwhile
+      if (state.fetchToken !== currentFetchToken) return;
+      chrome.storage.local.set({ fetchState: progressState(state) });
+    });
 }
 
-// Compute exponential backoff delay with a cap.  attempt is
-// 1‑based.  We cap at MAX_BACKOFF_MS.
-function backoffDelay(attempt) {
-  const base = Math.min(MAX_BACKOFF_MS, 1000 * Math.pow(2, attempt - 1));
-  return Math.ceil(jitter(base));
+/**
+ * Turn the `fetchState` read from storage back into a full state.
+ * States saved before results moved to IndexedDB still hold them; they
+ * are moved there under a new run ID.
+ * @param {?Object} saved
+ * @returns {Promise<?Object>}
+ */
+async function hydrateState(saved) {
+  if (saved && !saved.runId && Array.isArray(saved.pagesResults)) {
+    adoptStateResults(saved);
+    await clearResultStore();
+    await flushResults(saved);
+    return saved;
+  }
+  return loadRunResults(saved);
 }
 
+// A singleton to hold the current fetch state.  When no fetch is active
+// this variable is null.
+let currentState = null;
+// Token of the run whose loop is alive in this service worker instance
+let activeRunToken = null;
+
+// Runs save their state to storage, count their queries against the
+// daily budget and are kept in the history when they complete
+setHarvestHost({
+  persist: storeFetchState,
+  resultStored: noteStoredResult,
+  requestLogged: noteLoggedRequest,
+  started: (state) => {
+    // Only the current run is kept in IndexedDB
+    if (!state.runId) {
+      state.runId = `run-${state.startedAt}`;
+      clearResultStore().catch((err) => {
+        console.error('Clearing results failed', err);
+      });
+    }
+    currentState = state;
+  },
+  isCurrent: (token) => token === currentFetchToken,
+  reserveQuery,
+  markKeyExhausted,
+  deferUntil: (time) => {
+    chrome.alarms.create(QUOTA_RESET_ALARM, { when: time });
+  },
+  finished: async (state) => {
+    // Keep the finished run for comparison with later ones
+    try {
+      state.historyId = (await saveRunToHistory(state)).id;
+      persistState(state);
+    } catch (err) {
+      console.error('Saving run to history failed', err);
+    }
+  }
+});
+
 /**
- * Perform a search request with retry, adaptive global throttling
- * and detection of quota errors.  This helper wraps
- * `fetchSearchPage` and manages rate limits.
- *
- * - Before each request it waits `GLOBAL_DELAY_MS` ms.
- * - On success, it shortens the global delay (but not below 800ms).
- * - On HTTP 429 or `rateLimitExceeded`, it grows the global delay
- *   and retries up to MAX_RETRIES times with exponential backoff.
- * - On `dailyLimitExceeded`, it throws an error with `reason` so
- *   that callers can abort the harvest.
+ * Run a harvest with up to MAX_START_ATTEMPTS attempts.  With
+ * `options.resumeState` it continues a paused or orphaned run instead:
+ * a run that was mid-attempt resumes that attempt from its cursor, and
+ * a run that was waiting to retry starts its next attempt.  Scheduled
+ * runs and runs stopped by the daily quota end with a notification.
  * @param {string} apiKey
  * @param {string} cseId
- * @param {string} domain
- * @param {number} startIndex
- * @param {boolean} images
+ * @param {string[]} domains
+ * @param {number} token
+ * @param {Object} [options] Run options passed on to startHarvest, and
+ *   `provider`, the key of SEARCH_PROVIDERS to search with.
  */
-async function fetchWithBackoff(apiKey, cseId, domain, startIndex, images) {
-  // global delay
-  await sleep(GLOBAL_DELAY_MS);
-  let lastErr;
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const result = await fetchSearchPage(apiKey, cseId, domain, startIndex, images);
-      // success: gently shrink global delay toward 800ms
-      GLOBAL_DELAY_MS = Math.max(800, Math.floor(GLOBAL_DELAY_MS * 0.9));
-      return result;
-    } catch (err) {
-      const message = String(err.message);
-      // Extract reason from error if present
-      let reason = '';
-      if (err && typeof err === 'object') {
-        if (err.reason) reason = err.reason;
+async function startFetchWithAttempts(apiKey, cseId, domains, token, options = {}) {
+  let resumeState = options.resumeState || null;
+  let firstAttempt = 1;
+  let retry = false;
+  if (resumeState) {
+    firstAttempt = resumeState.attempt || 1;
+    if (!resumeState.running) {
+      firstAttempt++;
+      retry = true;
+    }
+  }
+  activeRunToken = token;
+  startWatchdog();
+  try {
+    // One pool for all attempts, so a retry keeps using the key the
+    // failed attempt had switched to.  Resumed runs keep their provider.
+    const provider = (resumeState && resumeState.provider) || options.provider || DEFAULT_PROVIDER;
+    const pool = await createKeyPool(apiKey, cseId, provider);
+    const classification = await loadClassification();
+    for (let attempt = firstAttempt; attempt <= MAX_START_ATTEMPTS; attempt++) {
+      if (token !== currentFetchToken) return;
+      const result = await startHarvest(pool, domains, {
+        attempt,
+        maxAttempts: MAX_START_ATTEMPTS,
+        token,
+        deepHarvest: options.deepHarvest,
+        compareSitemaps: options.compareSitemaps,
+        checkStatus: options.checkStatus,
+        normalise: options.normalise,
+        search: options.search,
+        classification,
+        scheduleId: options.scheduleId,
+        resumeState,
+        retry
+      });
+      if (token !== currentFetchToken) return;
+      if (result.paused) {
+        if (result.deferred) notify('Harvest deferred', result.message);
+        return;
       }
-      if (message.includes('dailyLimitExceeded') || reason === 'dailyLimitExceeded') {
-        const e = new Error('Daily quota exceeded. Try again after reset.');
-        e.reason = 'dailyLimitExceeded';
-        throw e;
+      if (result.success) {
+        await notifyRunFinished(currentState, result);
+        return;
       }
-      if (message.includes('HTTP 429') || message.includes('rateLimitExceeded') || reason === 'rateLimitExceeded') {
-        lastErr = err;
-        // grow global delay to be gentler, but cap at 5 seconds
-        GLOBAL_DELAY_MS = Math.min(5000, Math.floor(GLOBAL_DELAY_MS * 1.5));
-        // wait exponential backoff with jitter
-        const waitTime = backoffDelay(attempt);
-        await sleep(waitTime);
-        continue;
+      const recoverable = result.recoverable !== false;
+      if (!recoverable || attempt === MAX_START_ATTEMPTS) {
+        currentState.retryScheduled = false;
+        currentState.fetchToken = token;
+        persistState(currentState);
+        await notifyRunFinished(currentState, result);
+        return;
       }
-      // other errors propagate
-      throw err;
+      currentState.retryScheduled = true;
+      currentState.fetchToken = token;
+      persistState(currentState);
+      // The next attempt continues from the request that failed
+      resumeState = currentState;
+      retry = true;
+      await sleep(ATTEMPT_RETRY_DELAY_MS);
+      if (token === currentFetchToken && currentState.paused) {
+        currentState.status = 'Paused before the next attempt.';
+        persistState(currentState);
+        return;
+      }
+    }
+  } finally {
+    // A newer run owns the watchdog if this one was superseded
+    if (token === currentFetchToken) {
+      activeRunToken = null;
+      stopWatchdog();
     }
   }
-  // exhausted retries
-  const e = lastErr || new Error('Rate limit exceeded after retries');
-  e.reason = e.reason || 'rateLimitExceeded';
-  throw e;
 }
 
-// Define a set of extensions that we consider to be assets.  All other
-// URLs will be treated as pages.
-const assetExtensions = new Set([
-  'jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'bmp', 'ico', 'tif', 'tiff',
-  'css', 'js', 'json', 'map', 'woff', 'woff2', 'ttf', 'otf', 'eot',
-  'mp4', 'mp3', 'ogg', 'wav', 'webm', 'pdf'
-]);
+/**
+ * Take over the fetch token for a persisted state, superseding any
+ * loop still working on it.  Tokens are not persisted across service
+ * worker restarts, so the new token is also kept above the saved one.
+ * @param {Object} state
+ * @returns {number}
+ */
+function claimFetchToken(state) {
+  currentFetchToken = Math.max(currentFetchToken, state.fetchToken || 0) + 1;
+  state.fetchToken = currentFetchToken;
+  return currentFetchToken;
+}
 
 /**
- * Fetch a single page of Google Custom Search results.
- * @param {string} apiKey Your API key.
- * @param {string} cseId Your Custom Search Engine ID.
- * @param {string} domain The domain to restrict search to.
- * @param {number} startIndex 1‑based starting index.
- * @param {boolean} images Whether to fetch image results instead of web pages.
- * @returns {Promise<Object>} The parsed JSON response.
+ * The state of the current run, read back from storage when the
+ * service worker has restarted since the run was last touched.
+ * @returns {Promise<?Object>}
  */
-async function fetchSearchPage(apiKey, cseId, domain, startIndex, images) {
-  const endpoint = new URL('https://customsearch.googleapis.com/customsearch/v1');
-  const params = new URLSearchParams({
-    key: apiKey,
-    cx: cseId,
-    q: `site:${domain}`,
-    start: startIndex.toString(),
-    num: '10'
-  });
-  if (images) {
-    params.set('searchType', 'image');
+async function loadCurrentState() {
+  if (currentState) return currentState;
+  const data = await chrome.storage.local.get('fetchState');
+  const state = await hydrateState(data.fetchState || null);
+  // A run may have been started while the results were being read
+  return currentState || state;
+}
+
+/**
+ * Ask the running harvest to pause.  The loop stops before its next
+ * request, leaving the cursor where it is.
+ * @returns {Promise<boolean>} Whether a run is now paused or pausing.
+ */
+async function pauseHarvest() {
+  const state = await loadCurrentState();
+  if (!state || !(state.running || state.retryScheduled)) return false;
+  if (!state.paused) {
+    state.paused = true;
+    state.status = 'Pausing after the current request ...';
+    currentState = state;
+    persistState(state);
   }
-  endpoint.search = params.toString();
-  const response = await fetch(endpoint.toString());
-  if (!response.ok) {
-    let message = `HTTP ${response.status}: ${response.statusText}`;
-    let reason = '';
-    try {
-      const errData = await response.json();
-      if (errData && errData.error) {
-        if (errData.error.message) {
-          message += ` - ${errData.error.message}`;
-        }
-        const first = Array.isArray(errData.error.errors) ? errData.error.errors[0] : null;
-        if (first && first.reason) {
-          reason = first.reason;
-        } else if (errData.error.reason) {
-          reason = errData.error.reason;
-        }
-      }
-    } catch (e) {
-      // ignore JSON parsing errors
-    }
-    const error = new Error(message);
-    if (reason) error.reason = reason;
-    throw error;
+  return true;
+}
+
+/**
+ * Resume a paused harvest from its cursor with the saved credentials.
+ * @returns {Promise<boolean>} Whether the run is going again.
+ */
+async function resumeHarvest() {
+  const state = await loadCurrentState();
+  if (!state || !state.paused) return false;
+  currentState = state;
+  // Paused before the loop reached a checkpoint: just keep going.
+  if (activeRunToken !== null && activeRunToken === currentFetchToken) {
+    state.paused = false;
+    state.status = 'Resuming ...';
+    persistState(state);
+    return true;
+  }
+  const credentials = await loadSavedCredentials(state.provider || DEFAULT_PROVIDER);
+  if (!credentials) {
+    state.status = `Cannot resume: ${await credentialsNeeded(state.provider || DEFAULT_PROVIDER)} first.`;
+    persistState(state);
+    return false;
   }
-  return response.json();
+  state.paused = false;
+  state.deferredUntil = null;
+  const token = claimFetchToken(state);
+  startFetchWithAttempts(credentials.apiKey, credentials.cseId, state.domains, token, {
+    deepHarvest: state.deepHarvest,
+    compareSitemaps: state.compareSitemaps,
+    checkStatus: state.checkStatus,
+    resumeState: state
+  }).catch((err) => {
+    console.error('Resuming harvest failed', err);
+  });
+  return true;
 }
 
 /**
- * Fetch a page with retry for rate‑limit errors.  If the API
- * returns HTTP 429, this helper will wait and retry up to three
- * times before giving up.  Other errors will be propagated
- * immediately.
- * @param {string} apiKey
- * @param {string} cseId
- * @param {string} domain
- * @param {number} startIndex
- * @param {boolean} images
- * @param {number} retries
- * @returns {Promise<Object>}
+ * Stop the current harvest for good while keeping everything collected
+ * so far available for download.
+ * @returns {Promise<boolean>} Whether there was a run to cancel.
  */
+async function cancelHarvest() {
+  const saved = await loadCurrentState();
+  if (!saved || !(saved.running || saved.retryScheduled || saved.paused)) return false;
+  // The superseded loop may still hold the old object, so keep a copy
+  // it cannot touch, once what it collected is saved.
+  await flushResults(saved);
+  const state = structuredClone(saved);
+  claimFetchToken(state);
+  state.running = false;
+  state.paused = false;
+  state.retryScheduled = false;
+  state.cancelled = true;
+  state.deferredUntil = null;
+  state.attemptLabel = '';
+  state.attemptError = '';
+  state.domainSummary = summariseDomains(state);
+  state.status = `Cancelled. Kept ${state.pagesResults.length + state.assetsResults.length} URLs collected so far (${describeDomainSummary(state.domainSummary)}).`;
+  currentState = state;
+  persistState(state);
+  activeRunToken = null;
+  stopWatchdog();
+  return true;
+}
 
 /**
- * Categorise a link into pages or assets and store it into state if it
- * hasn't been seen before.
- * @param {string} link URL to categorise.
- * @param {Object} state The fetch state object.
+ * Make an imported export (see result-import.js) the current results,
+ * or add the URLs it holds to them.  Never touches a run that is still
+ * going.
+ * @param {Object} imported Result of parseResultsImport.
+ * @param {boolean} merge Add to the current results rather than
+ *   replace them; without current results the import replaces nothing.
+ * @returns {Promise<number>} How many URLs were added.
  */
-function categoriseAndStore(link, state) {
-  // Only accept URLs that match the allowed domains in state.
+async function importResults(imported, merge) {
+  const current = await loadCurrentState();
+  // A run that is only starting has no state of its own yet
+  if (activeRunToken !== null || (current && (current.running || current.retryScheduled || current.paused))) {
+    throw new Error('Finish or cancel the current run first.');
+  }
+  if (merge && current) {
+    const added = mergeImportedResults(current, imported);
+    added.forEach((url) => noteStoredResult(current, url));
+    const total = imported.pagesResults.length + imported.assetsResults.length;
+    current.status = `Added ${added.length} URLs from ${imported.imported.fileName} (${total - added.length} already collected).`;
+    claimFetchToken(current);
+    currentState = current;
+    persistState(current);
+    return added.length;
+  }
+  adoptStateResults(imported);
+  await clearResultStore();
+  claimFetchToken(imported);
+  currentState = imported;
+  persistState(imported);
+  return imported.pagesResults.length + imported.assetsResults.length;
+}
+
+// MV3 shuts the service worker down when it looks idle, taking the
+// harvest loop with it.  While a run is active a periodic alarm wakes
+// the worker again so that the orphaned run is picked up even if the
+// popup is never reopened.
+const WATCHDOG_ALARM = 'harvestWatchdog';
+// Give up on a run that keeps getting orphaned rather than resuming it
+// forever.
+const MAX_RESUMES = 5;
+const INTERRUPTED_MESSAGE =
+  'Interrupted: the background worker stopped before the run finished. Start the fetch again to collect the remaining pages.';
+let recoveringHarvest = false;
+
+function startWatchdog() {
+  chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: 1 });
+}
+
+function stopWatchdog() {
+  chrome.alarms.clear(WATCHDOG_ALARM);
+}
+
+/**
+ * Detect a harvest left running (or waiting to retry) by a previous
+ * instance of this service worker.  It is resumed from its persisted
+ * cursor when the saved credentials are available, and otherwise
+ * marked as interrupted so the popup does not show it running forever.
+ */
+async function recoverOrphanedHarvest() {
+  if (currentState || recoveringHarvest) return;
+  recoveringHarvest = true;
   try {
-    const urlObj = new URL(link);
-    // Check that the host ends with one of the specified domains.  This also
-    // allows subdomains (e.g. www.example.com) because endsWith will match
-    // example.com in both cases.
-    const allowed = Array.isArray(state.domains) && state.domains.some((d) => {
-      try {
-        return urlObj.hostname.toLowerCase().endsWith(d.toLowerCase());
-      } catch (e) {
-        return false;
-      }
-    });
-    if (!allowed) {
-      return; // Skip URLs that do not belong to the requested domain(s)
+    const { fetchState: stored } = await chrome.storage.local.get('fetchState');
+    const saved = await hydrateState(stored || null);
+    const credentials = saved ? await loadSavedCredentials(saved.provider || DEFAULT_PROVIDER) : null;
+    // A run may have been started while storage was being read
+    if (currentState) return;
+    // Paused runs wait for the user to resume them
+    if (!saved || saved.paused || !(saved.running || saved.retryScheduled)) {
+      stopWatchdog();
+      return;
     }
-    const pathname = urlObj.pathname.toLowerCase();
-    const match = pathname.match(/\.([a-z0-9]+)(?:\?|#|$)/);
-    let ext = '';
-    if (match && match[1]) ext = match[1];
-    if (assetExtensions.has(ext)) {
-      if (!state.assetsResults.includes(link)) {
-        state.assetsResults.push(link);
-      }
-    } else {
-      if (!state.pagesResults.includes(link)) {
-        state.pagesResults.push(link);
-      }
+    const token = claimFetchToken(saved);
+    currentState = saved;
+    const canResume = saved.cursor && credentials && (saved.resumeCount || 0) < MAX_RESUMES;
+    if (!canResume) {
+      saved.running = false;
+      saved.retryScheduled = false;
+      saved.interrupted = true;
+      if (saved.cursor) saved.domainSummary = summariseDomains(saved);
+      saved.attemptLabel = '';
+      saved.attemptError = INTERRUPTED_MESSAGE;
+      saved.status = INTERRUPTED_MESSAGE;
+      persistState(saved);
+      stopWatchdog();
+      return;
     }
-  } catch (e) {
-    // Ignore unparseable URLs (e.g. x-raw-image schemes)
+    saved.resumeCount = (saved.resumeCount || 0) + 1;
+    startFetchWithAttempts(credentials.apiKey, credentials.cseId, saved.domains, token, {
+      deepHarvest: saved.deepHarvest,
+      compareSitemaps: saved.compareSitemaps,
+      checkStatus: saved.checkStatus,
+      resumeState: saved
+    }).catch((err) => {
+      console.error('Resuming harvest failed', err);
+    });
+  } finally {
+    recoveringHarvest = false;
+  }
+}
+
+// Wakes a run that the query budget deferred once the quota has reset
+const QUOTA_RESET_ALARM = 'quotaReset';
+
+async function resumeDeferredHarvest() {
+  const state = await loadCurrentState();
+  if (!state || !state.paused || !state.deferredUntil) return;
+  if (Date.now() < state.deferredUntil) {
+    chrome.alarms.create(QUOTA_RESET_ALARM, { when: state.deferredUntil });
     return;
   }
+  await resumeHarvest();
 }
 
 /**
- * Update the fetch state in chrome.storage.local.  Because we store
- * complex nested data, we overwrite the entire state with a single
- * assignment.  All UI updates in the popup come through
- * chrome.storage.onChanged listeners.
- * @param {Object} state The current fetch state.
+ * Show a notification; clicking it opens the history page.
+ * @param {string} title
+ * @param {string} message
  */
-function persistState(state) {
-  if (state && typeof state === 'object' && !Array.isArray(state)) {
-    if (state.fetchToken === undefined) {
-      state.fetchToken = currentFetchToken;
-    } else if (state.fetchToken !== currentFetchToken) {
-      return;
+function notify(title, message) {
+  chrome.notifications.create({ type: 'basic', iconUrl: 'icons/icon128.png', title, message }, () => {
+    if (chrome.runtime.lastError) console.error('Notification failed', chrome.runtime.lastError.message);
+  });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Tell the user how a run ended when nobody may be watching the popup:
+ * scheduled runs report what changed since the schedule's previous
+ * run, and any run stopped by the daily quota says so.
+ * @param {Object} state The final fetch state.
+ * @param {Object} result What startHarvest returned.
+ */
+async function notifyRunFinished(state, result) {
+  if (!state.scheduleId) {
+    if (result.reason === 'dailyLimitExceeded' || result.reason === 'budgetExhausted') {
+      notify('Harvest stopped', result.message);
+    }
+    return;
+  }
+  const schedules = await loadSchedules();
+  const schedule = schedules.find((s) => s.id === state.scheduleId);
+  const title = `Scheduled harvest: ${state.domains.join(', ')}`;
+  let message;
+  if (!result.success) {
+    message = state.status;
+  } else {
+    const total = state.pagesResults.length + state.assetsResults.length;
+    // History is newest first, so the first other run of this schedule
+    // is the previous one
+    const previous = (await loadHistory()).find((entry) => entry.scheduleId === state.scheduleId && entry.id !== state.historyId);
+    const [older, newer] = previous ? await Promise.all([loadHistoryRun(previous.id), loadHistoryRun(state.historyId)]) : [];
+    if (older && newer) {
+      const diff = diffHistoryRuns(older, newer);
+      message = `${diff.added.length} new and ${diff.removed.length} dropped URLs since the last scheduled run (${total} URLs in total).`;
+    } else {
+      message = `First scheduled run: ${total} URLs found.`;
     }
   }
-  chrome.storage.local.set({ fetchState: state });
+  notify(title, message);
+  if (schedule) {
+    schedule.lastRunAt = Date.now();
+    schedule.lastResult = message;
+    await saveSchedules(schedules);
+  }
 }
 
-// A singleton to hold the current fetch state.  When no fetch is active
-// this variable is null.
-let currentState = null;
+/**
+ * Arm the alarm for a schedule's next occurrence and remember when that is.
+ * @param {Object} schedule Updated in place; the caller saves it.
+ */
+function armSchedule(schedule) {
+  schedule.nextRunAt = nextScheduleTime(schedule);
+  chrome.alarms.create(scheduleAlarmName(schedule.id), { when: schedule.nextRunAt });
+}
 
 /**
- * Start a new harvesting operation.  If a previous operation is in
- * progress, it will be abandoned in favour of the new one.  This
- * function performs all network requests sequentially and updates
- * progress as it goes.  It makes two types of requests per domain:
- * web page results and image results.  Each request counts as a step
- * towards the total progress.
- * @param {string} apiKey The user’s API key.
- * @param {string} cseId The user’s search engine ID.
- * @param {string[]} domains A list of domains to fetch.
+ * Make the schedule alarms match the saved schedules.  Alarms do not
+ * survive every browser or extension update, so this runs whenever the
+ * service worker starts.
  */
-async function startHarvest(apiKey, cseId, domains, context = {}) {
-  const attempt = context.attempt || 1;
-  const maxAttempts = context.maxAttempts || 1;
-  const token = context.token ?? currentFetchToken;
-
-  // Initialise new state for this attempt
-  const state = {
-    running: true,
-    domains,
-    pagesResults: [],
-    assetsResults: [],
-    totalSteps: 0,
-    completedSteps: 0,
-    status: '',
-    startedAt: Date.now(),
-    attempt,
-    maxAttempts,
-    attemptLabel: `Starting attempt ${attempt} ...`,
-    attemptError: '',
-    retryScheduled: false,
-    fetchToken: token
-  };
-  currentState = state;
-  persistState(state);
+async function syncScheduleAlarms() {
+  // Read the alarms first: a schedule is always saved before its alarm
+  // is armed, so one added meanwhile is never mistaken for a stale alarm
+  const alarms = await chrome.alarms.getAll();
+  const schedules = await loadSchedules();
+  const armed = new Set(alarms.map((alarm) => alarm.name));
+  const wanted = new Set(schedules.map((schedule) => scheduleAlarmName(schedule.id)));
+  alarms
+    .filter((alarm) => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !wanted.has(alarm.name))
+    .forEach((alarm) => chrome.alarms.clear(alarm.name));
+  const missing = schedules.filter((schedule) => !armed.has(scheduleAlarmName(schedule.id)));
+  if (missing.length) {
+    missing.forEach(armSchedule);
+    await saveSchedules(schedules);
+  }
+}
 
-  const fail = (message, reason, recoverable = true) => {
-    state.running = false;
-    state.attemptLabel = '';
-    state.attemptError = message;
-    state.retryScheduled = false;
-    state.status = message;
-    state.fetchToken = token;
-    persistState(state);
-    return { success: false, message, reason, recoverable };
+/**
+ * Save a new schedule and arm its alarm.
+ * @param {Object} options `domains`, `frequency`, `weekday`, `time`,
+ *   `provider`, `deepHarvest`, `compareSitemaps`, `checkStatus`,
+ *   `normalise` and `search`.
+ * @returns {Promise<Object>} The saved schedule.
+ */
+async function addSchedule(options) {
+  if (!SCHEDULE_FREQUENCIES[options.frequency]) throw new Error(`Unknown frequency: ${options.frequency}`);
+  if (!/^\d{2}:\d{2}$/.test(options.time || '')) throw new Error('Pick a time for the schedule.');
+  if (!Array.isArray(options.domains) || options.domains.length === 0) throw new Error('Enter at least one domain.');
+  // Throw with a readable message for an invalid entry or parameter
+  options.domains.forEach(parseDomainScope);
+  const provider = SEARCH_PROVIDERS[options.provider] ? options.provider : DEFAULT_PROVIDER;
+  const search = searchOptions(options.search, provider);
+  const schedule = {
+    id: `schedule-${Date.now()}`,
+    domains: options.domains,
+    frequency: options.frequency,
+    weekday: options.frequency === 'weekly' ? Number(options.weekday) || 0 : null,
+    time: options.time,
+    provider,
+    deepHarvest: Boolean(options.deepHarvest),
+    compareSitemaps: Boolean(options.compareSitemaps),
+    checkStatus: Boolean(options.checkStatus),
+    normalise: normalisationOptions(options.normalise),
+    search,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastResult: ''
   };
+  schedule.nextRunAt = nextScheduleTime(schedule);
+  const schedules = await loadSchedules();
+  schedules.push(schedule);
+  await saveSchedules(schedules);
+  chrome.alarms.create(scheduleAlarmName(schedule.id), { when: schedule.nextRunAt });
+  return schedule;
+}
 
-  // Build tasks array with counts for each domain
-  const tasks = [];
-  for (const domain of domains) {
-    // Fetch the first page of web results to determine total pages
-    let pagesCount = 1;
-    try {
-      const firstPage = await fetchWithBackoff(apiKey, cseId, domain, 1, false);
-      const items = firstPage.items || [];
-      items.forEach((item) => categoriseAndStore(item.link, state));
-      const totalStr = firstPage.searchInformation && firstPage.searchInformation.totalResults;
-      let totalNum = 0;
-      if (totalStr) totalNum = parseInt(totalStr, 10);
-      pagesCount = totalNum > 0 ? Math.ceil(totalNum / 10) : 1;
-      // API caps at 100 results
-      pagesCount = Math.min(10, pagesCount);
-      state.completedSteps++;
-      state.attemptLabel = '';
-      state.attemptError = '';
-      state.status = `Fetched ${domain} page 1 of ${pagesCount}`;
-      persistState(state);
-    } catch (err) {
-      if (err && err.reason === 'dailyLimitExceeded') {
-        return fail('Stopped: Google Custom Search daily quota exceeded. Please retry after reset.', 'dailyLimitExceeded', false);
-      }
-      if (err && (err.reason === 'rateLimitExceeded' || String(err.message).toLowerCase().includes('rate limit'))) {
-        return fail('Rate limit exceeded. Please try again later.', 'rateLimitExceeded', true);
-      }
-      if (isRefererBlockedError(err)) {
-        return fail(REFERER_BLOCKED_MESSAGE, 'httpRefererRestricted', false);
-      }
-      return fail(`Error fetching ${domain} pages: ${err.message}`, err && err.reason, true);
-    }
-    // Fetch the first page of image results to determine total image pages
-    let imagePages = 1;
-    try {
-      const firstImage = await fetchWithBackoff(apiKey, cseId, domain, 1, true);
-      const items = firstImage.items || [];
-      items.forEach((item) => categoriseAndStore(item.link, state));
-      const totalStr = firstImage.searchInformation && firstImage.searchInformation.totalResults;
-      let totalNum = 0;
-      if (totalStr) totalNum = parseInt(totalStr, 10);
-      imagePages = totalNum > 0 ? Math.ceil(totalNum / 10) : 1;
-      imagePages = Math.min(10, imagePages);
-      state.completedSteps++;
-      state.attemptLabel = '';
-      state.attemptError = '';
-      state.status = `Fetched ${domain} images page 1 of ${imagePages}`;
-      persistState(state);
-    } catch (err) {
-      if (err && err.reason === 'dailyLimitExceeded') {
-        return fail('Stopped: Google Custom Search daily quota exceeded. Please retry after reset.', 'dailyLimitExceeded', false);
-      }
-      if (err && (err.reason === 'rateLimitExceeded' || String(err.message).toLowerCase().includes('rate limit'))) {
-        return fail('Rate limit exceeded. Please try again later.', 'rateLimitExceeded', true);
-      }
-      if (isRefererBlockedError(err)) {
-        return fail(REFERER_BLOCKED_MESSAGE, 'httpRefererRestricted', false);
-      }
-      return fail(`Error fetching ${domain} images: ${err.message}`, err && err.reason, true);
-    }
-    // Add to tasks; we start from page 2 because page 1 already fetched
-    tasks.push({ domain, pagesCount, imagePages });
-    // Add to total steps both page and image counts
-    state.totalSteps += pagesCount + imagePages;
+async function removeSchedule(id) {
+  const schedules = await loadSchedules();
+  await saveSchedules(schedules.filter((schedule) => schedule.id !== id));
+  await chrome.alarms.clear(scheduleAlarmName(id));
+}
+
+/**
+ * Start the harvest for a schedule whose alarm fired, then re-arm the
+ * alarm.  A schedule never interrupts a run that is already going; that
+ * occurrence is skipped with a notification.
+ * @param {string} id
+ */
+async function runScheduledHarvest(id) {
+  const schedules = await loadSchedules();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) return;
+  armSchedule(schedule);
+  await saveSchedules(schedules);
+  const title = `Scheduled harvest: ${schedule.domains.join(', ')}`;
+  const active = await loadCurrentState();
+  if (active && (active.running || active.retryScheduled || active.paused)) {
+    notify(title, 'Skipped: another harvest is still running or paused.');
+    return;
   }
-  // Persist initial counts after computing totals
-  persistState(state);
-  // Now process remaining pages sequentially
-  for (const task of tasks) {
-    const { domain, pagesCount, imagePages } = task;
-    // Web pages beyond the first page
-    for (let pageNum = 2; pageNum <= pagesCount; pageNum++) {
-      state.status = `Fetching ${domain} pages (${pageNum}/${pagesCount})`;
-      persistState(state);
-      try {
-        const data = await fetchWithBackoff(apiKey, cseId, domain, 1 + (pageNum - 1) * 10, false);
-        (data.items || []).forEach((item) => categoriseAndStore(item.link, state));
-      } catch (err) {
-        // If quota or rate limits are exceeded, abort the harvest immediately
-        if (err && err.reason === 'dailyLimitExceeded') {
-          return fail('Stopped: Google Custom Search daily quota exceeded. Please retry after reset.', 'dailyLimitExceeded', false);
-        }
-        if (err && (err.reason === 'rateLimitExceeded' || String(err.message).includes('rate limit'))) {
-          return fail('Rate limit exceeded. Please try again later.', 'rateLimitExceeded', true);
-        }
-        if (isRefererBlockedError(err)) {
-          return fail(REFERER_BLOCKED_MESSAGE, 'httpRefererRestricted', false);
-        }
-        state.status = `Error on ${domain} page ${pageNum}: ${err.message}`;
-        persistState(state);
-      }
-      state.completedSteps++;
-      persistState(state);
-      await sleep(1000);
-    }
-    // Image pages beyond the first page
-    for (let pageNum = 2; pageNum <= imagePages; pageNum++) {
-      state.status = `Fetching ${domain} images (${pageNum}/${imagePages})`;
-      persistState(state);
-      try {
-        const data = await fetchWithBackoff(apiKey, cseId, domain, 1 + (pageNum - 1) * 10, true);
-        (data.items || []).forEach((item) => categoriseAndStore(item.link, state));
-      } catch (err) {
-        if (err && err.reason === 'dailyLimitExceeded') {
-          return fail('Stopped: Google Custom Search daily quota exceeded. Please retry after reset.', 'dailyLimitExceeded', false);
-        }
-        if (err && (err.reason === 'rateLimitExceeded' || String(err.message).includes('rate limit'))) {
-          return fail('Rate limit exceeded. Please try again later.', 'rateLimitExceeded', true);
-        }
-        if (isRefererBlockedError(err)) {
-          return fail(REFERER_BLOCKED_MESSAGE, 'httpRefererRestricted', false);
-        }
-        state.status = `Error on ${domain} image page ${pageNum}: ${err.message}`;
-        persistState(state);
-      }
-      state.completedSteps++;
-      persistState(state);
-      await sleep(1000);
-    }
+  const provider = schedule.provider || DEFAULT_PROVIDER;
+  const credentials = await loadSavedCredentials(provider);
+  if (!credentials) {
+    notify(title, `Skipped: ${await credentialsNeeded(provider)} first.`);
+    return;
   }
-  // Mark finished
-  state.running = false;
-  state.attemptLabel = '';
-  state.attemptError = '';
-  state.retryScheduled = false;
-  state.status = `Fetched ${state.pagesResults.length + state.assetsResults.length} URLs.`;
-  persistState(state);
-  return { success: true };
+  const token = ++currentFetchToken;
+  startFetchWithAttempts(credentials.apiKey, credentials.cseId, schedule.domains, token, {
+    provider,
+    deepHarvest: schedule.deepHarvest,
+    compareSitemaps: schedule.compareSitemaps,
+    checkStatus: schedule.checkStatus,
+    normalise: schedule.normalise,
+    search: schedule.search,
+    scheduleId: schedule.id
+  }).catch((err) => {
+    console.error('Scheduled harvest failed', err);
+  });
 }
 
-async function startFetchWithAttempts(apiKey, cseId, domains, token) {
-  for (let attempt = 1; attempt <= MAX_START_ATTEMPTS; attempt++) {
-    if (token !== currentFetchToken) return;
-    const result = await startHarvest(apiKey, cseId, domains, { attempt, maxAttempts: MAX_START_ATTEMPTS, token });
-    if (token !== currentFetchToken) return;
-    if (result.success) {
-      return;
-    }
-    const recoverable = result.recoverable !== false;
-    if (!recoverable || attempt === MAX_START_ATTEMPTS) {
-      currentState.retryScheduled = false;
-      currentState.fetchToken = token;
-      persistState(currentState);
-      return;
-    }
-    currentState.retryScheduled = true;
-    currentState.fetchToken = token;
-    persistState(currentState);
-    await sleep(ATTEMPT_RETRY_DELAY_MS);
+// Popup settings a harvest started from the context menu runs with
+const SITE_HARVEST_SETTINGS = [SEARCH_PROVIDER_KEY, SEARCH_OPTIONS_KEY, 'deepHarvest', 'compareSitemaps', 'checkStatus', 'urlNormalisation'];
+
+/**
+ * Start a harvest of the site a tab shows, with the provider, saved
+ * credentials and options last used in the popup.  Like a schedule it
+ * never interrupts a run that is already going; anything that keeps it
+ * from starting is reported in a notification.
+ * @param {string} pageUrl
+ */
+async function harvestSite(pageUrl) {
+  const domain = siteDomainEntry(pageUrl);
+  const title = 'Find indexed pages';
+  if (!domain) {
+    notify(title, 'This page is not on a website that can be searched.');
+    return;
   }
+  const active = await loadCurrentState();
+  if (active && (active.running || active.retryScheduled || active.paused)) {
+    notify(title, `Not started for ${domain}: another harvest is still running or paused.`);
+    return;
+  }
+  const settings = await chrome.storage.local.get(SITE_HARVEST_SETTINGS);
+  const provider = SEARCH_PROVIDERS[settings[SEARCH_PROVIDER_KEY]] ? settings[SEARCH_PROVIDER_KEY] : DEFAULT_PROVIDER;
+  const credentials = await loadSavedCredentials(provider);
+  if (!credentials) {
+    notify(title, `Not started for ${domain}: ${await credentialsNeeded(provider)} first.`);
+    return;
+  }
+  let search;
+  try {
+    search = searchOptions(settings[SEARCH_OPTIONS_KEY], provider);
+  } catch (err) {
+    notify(title, `Not started for ${domain}: ${err.message}`);
+    return;
+  }
+  // Only the popup can ask for access to the site, so sitemaps and
+  // status checks are skipped unless it was granted before
+  const siteAccess =
+    (settings.compareSitemaps || settings.checkStatus) &&
+    (await chrome.permissions.contains({ origins: siteAccessOrigins([domain]) }));
+  const token = ++currentFetchToken;
+  startFetchWithAttempts(credentials.apiKey, credentials.cseId, [domain], token, {
+    provider,
+    deepHarvest: Boolean(settings.deepHarvest),
+    compareSitemaps: Boolean(siteAccess && settings.compareSitemaps),
+    checkStatus: Boolean(siteAccess && settings.checkStatus),
+    normalise: settings.urlNormalisation,
+    search
+  }).catch((err) => {
+    console.error('Site harvest failed', err);
+  });
 }
 
+const SITE_MENU_ID = 'harvestSite';
+
+// Context menus outlive the service worker, so they are created once
+// per install or update
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: SITE_MENU_ID,
+      title: 'Find indexed pages for this site',
+      contexts: ['page', 'action']
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== SITE_MENU_ID) return;
+  harvestSite(info.pageUrl || (tab && tab.url) || '').catch((err) => console.error('Starting site harvest failed', err));
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHDOG_ALARM) {
+    recoverOrphanedHarvest().catch((err) => console.error('Harvest recovery failed', err));
+  } else if (alarm.name === QUOTA_RESET_ALARM) {
+    resumeDeferredHarvest().catch((err) => console.error('Resuming deferred harvest failed', err));
+  } else if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runScheduledHarvest(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length)).catch((err) =>
+      console.error('Starting scheduled harvest failed', err)
+    );
+  }
+});
+
+// Runs every time the service worker starts
+recoverOrphanedHarvest().catch((err) => console.error('Harvest recovery failed', err));
+syncScheduleAlarms().catch((err) => console.error('Restoring schedules failed', err));
+
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'startFetch') {
-    const { apiKey, cseId, domains } = message;
-    const token = ++currentFetchToken;
-    startFetchWithAttempts(apiKey, cseId, domains, token).catch((err) => {
-      console.error('startFetchWithAttempts failed', err);
-    });
-    sendResponse({ started: true });
+    const { provider, domains, deepHarvest, compareSitemaps, checkStatus, normalise, search } = message;
+    try {
+      domains.forEach(parseDomainScope);
+      if (provider && !SEARCH_PROVIDERS[provider]) throw new Error(`Unknown search provider: ${provider}`);
+      searchOptions(search, provider || DEFAULT_PROVIDER);
+    } catch (err) {
+      sendResponse({ started: false, error: err.message });
+      return true;
+    }
+    // The popup saves the credentials before asking; they are read from
+    // storage here so they never travel in messages
+    loadSavedCredentials(provider || DEFAULT_PROVIDER)
+      .then(async (credentials) => {
+        if (!credentials) {
+          sendResponse({ started: false, error: `${await credentialsNeeded(provider || DEFAULT_PROVIDER)} first.` });
+          return;
+        }
+        const token = ++currentFetchToken;
+        const options = { provider, deepHarvest, compareSitemaps, checkStatus, normalise, search };
+        startFetchWithAttempts(credentials.apiKey, credentials.cseId, domains, token, options).catch((err) => {
+          console.error('startFetchWithAttempts failed', err);
+        });
+        sendResponse({ started: true });
+      })
+      .catch((err) => sendResponse({ started: false, error: err.message }));
     return true; // indicates asynchronous processing
   } else if (message.action === 'getState') {
     // Respond with current state; if no state, return null
-    sendResponse({ state: currentState });
+    sendResponse({ state: currentState && progressState(currentState) });
+    return true;
+  } else if (message.action === 'pauseFetch') {
+    pauseHarvest()
+      .then((paused) => sendResponse({ paused }))
+      .catch((err) => sendResponse({ paused: false, error: err.message }));
+    return true;
+  } else if (message.action === 'resumeFetch') {
+    resumeHarvest()
+      .then((resumed) => sendResponse({ resumed }))
+      .catch((err) => sendResponse({ resumed: false, error: err.message }));
+    return true;
+  } else if (message.action === 'cancelFetch') {
+    cancelHarvest()
+      .then((cancelled) => sendResponse({ cancelled }))
+      .catch((err) => sendResponse({ cancelled: false, error: err.message }));
+    return true;
+  } else if (message.action === 'importResults') {
+    importResults(message.state, Boolean(message.merge))
+      .then((added) => sendResponse({ added }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  } else if (message.action === 'estimateCost') {
+    // Worst-case cost of a harvest next to what the saved key has left today
+    const { provider, domainCount, deepHarvest } = message;
+    Promise.all([
+      loadSavedCredentials(provider || DEFAULT_PROVIDER).then((credentials) =>
+        credentials ? queriesSpentToday(credentials.apiKey) : 0
+      ),
+      loadQueryBudget()
+    ])
+      .then(([spent, budget]) =>
+        sendResponse({
+          queries: estimateHarvestCost(domainCount, deepHarvest, provider),
+          spent,
+          budget,
+          freeQueries: searchProvider(provider).freeDailyQueries,
+          resetAt: nextQuotaReset()
+        })
+      )
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  } else if (message.action === 'addSchedule') {
+    addSchedule(message.schedule)
+      .then((schedule) => sendResponse({ schedule }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  } else if (message.action === 'removeSchedule') {
+    removeSchedule(message.id)
+      .then(() => sendResponse({ removed: true }))
+      .catch((err) => sendResponse({ removed: false, error: err.message }));
     return true;
   } else if (message.action === 'resetState') {
     currentState = null;
     currentFetchToken++;
+    stopWatchdog();
     chrome.storage.local.remove('fetchState');
+    showRunBadge(null);
+    clearResultStore().catch((err) => {
+      console.error('Clearing results failed', err);
+    });
     sendResponse({ reset: true });
     return true;
   }
@@ -0,0 +1,44 @@
+// badge.js
+// Shows the current run on the toolbar button: its progress as a
+// percentage while it goes, and whether it completed or failed once it
+// stops, with the run's status as the button's tooltip.  The service
+// worker updates it every time it saves the fetch state.
+
+const BADGE_TITLE = 'Indexed Pages Finder';
+const BADGE_COLORS = { running: '#1a73e8', paused: '#5f6368', done: '#188038', failed: '#d93025' };
+
+/**
+ * What the toolbar button shows for a fetch state.  Cancelled runs and
+ * no run at all clear the badge.
+ * @param {?Object} state
+ * @returns {{text: string, color: string, title: string}}
+ */
+function runBadge(state) {
+  if (!state || state.cancelled) return { text: '', color: BADGE_COLORS.paused, title: BADGE_TITLE };
+  const title = state.status ? `${BADGE_TITLE}: ${state.status}` : BADGE_TITLE;
+  if (state.running || state.retryScheduled || state.paused) {
+    const total = state.totalSteps || 0;
+    // 100% is kept for runs that completed
+    const percent = total > 0 ? Math.min(99, Math.floor(((state.completedSteps || 0) / total) * 100)) : 0;
+    return { text: `${percent}%`, color: state.paused ? BADGE_COLORS.paused : BADGE_COLORS.running, title };
+  }
+  if (state.attemptError || state.interrupted) return { text: '!', color: BADGE_COLORS.failed, title };
+  return { text: '✓', color: BADGE_COLORS.done, title };
+}
+
+// The badge last shown, so saving an unchanged state costs nothing
+let shownBadge = '';
+
+/**
+ * Update the toolbar button for a fetch state.
+ * @param {?Object} state
+ */
+function showRunBadge(state) {
+  const badge = runBadge(state);
+  const key = JSON.stringify(badge);
+  if (key === shownBadge) return;
+  shownBadge = key;
+  chrome.action.setBadgeText({ text: badge.text });
+  chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  chrome.action.setTitle({ title: badge.title });
+}
@@ -0,0 +1,146 @@
+// classify.js
+// Sorts harvested URLs into named categories (pages, images, documents,
+// ...) with an editable rule set.  Shared by the service worker, which
+// classifies every result as it is stored, the export code, which
+// groups each domain's results by category, and the settings page,
+// where the rules are edited, imported and exported as JSON.  Host
+// patterns use hostMatchesPattern from scope.js.
+//
+// A rule set looks like
+//
+//   { "version": 1, "rules": [
+//       { "category": "images", "extensions": ["jpg", "png"] },
+//       { "category": "images", "mime": ["image/"] },
+//       { "category": "feeds", "pattern": "/(feed|rss)/?$" } ] }
+//
+// A rule matches when all of its criteria match; the first matching
+// rule decides the category, and URLs no rule matches are pages.
+
+const CLASSIFICATION_KEY = 'classificationRules';
+const PAGE_CATEGORY = 'pages';
+// Other keys of a domain's export group, which categories cannot use
+const RESERVED_CATEGORY_NAMES = ['status', 'errors', 'sitemap'];
+const RULE_CRITERIA = ['extensions', 'mime', 'fileFormat', 'hosts', 'pattern'];
+
+const DEFAULT_CLASSIFICATION = {
+  version: 1,
+  rules: [
+    { category: 'images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp', 'avif', 'bmp', 'ico', 'tif', 'tiff'] },
+    { category: 'images', mime: ['image/'] },
+    {
+      category: 'documents',
+      extensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'rtf', 'txt', 'csv']
+    },
+    { category: 'documents', mime: ['application/pdf', 'application/msword', 'application/vnd.'] },
+    { category: 'scripts-styles', extensions: ['js', 'mjs', 'css', 'map', 'json'] },
+    { category: 'fonts', extensions: ['woff', 'woff2', 'ttf', 'otf', 'eot'] },
+    { category: 'media', extensions: ['mp4', 'webm', 'mov', 'mp3', 'ogg', 'wav', 'm4a'] },
+    { category: 'media', mime: ['video/', 'audio/'] },
+    { category: 'feeds', extensions: ['rss', 'atom'] },
+    { category: 'feeds', pattern: '/(feed|rss|atom)(/|\\.xml)?$' }
+  ]
+};
+
+/**
+ * Check a rule set, e.g. one imported from a file, and return it in
+ * canonical form.
+ * @param {*} input Parsed JSON.
+ * @returns {{version: number, rules: Object[]}}
+ * @throws {Error} Describing the first problem found.
+ */
+function validateClassification(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.rules)) {
+    throw new Error('Expected an object with a "rules" array.');
+  }
+  const stringList = (value, name, index) => {
+    if (!Array.isArray(value) || value.length === 0 || !value.every((v) => typeof v === 'string' && v.trim())) {
+      throw new Error(`Rule ${index + 1}: "${name}" must be a non-empty list of strings.`);
+    }
+    return value.map((v) => v.trim().toLowerCase());
+  };
+  const rules = input.rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') throw new Error(`Rule ${index + 1} is not an object.`);
+    const category = typeof rule.category === 'string' ? rule.category.trim() : '';
+    if (!/^[a-z0-9][a-z0-9 _-]*$/i.test(category) || RESERVED_CATEGORY_NAMES.includes(category)) {
+      throw new Error(`Rule ${index + 1}: "${rule.category}" cannot be used as a category name.`);
+    }
+    const clean = { category };
+    if (rule.extensions !== undefined) {
+      clean.extensions = stringList(rule.extensions, 'extensions', index).map((ext) => ext.replace(/^\./, ''));
+    }
+    if (rule.mime !== undefined) clean.mime = stringList(rule.mime, 'mime', index);
+    if (rule.fileFormat !== undefined) clean.fileFormat = stringList(rule.fileFormat, 'fileFormat', index);
+    if (rule.hosts !== undefined) clean.hosts = stringList(rule.hosts, 'hosts', index);
+    if (rule.pattern !== undefined) {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (e) {
+        throw new Error(`Rule ${index + 1}: invalid pattern (${e.message}).`);
+      }
+      clean.pattern = String(rule.pattern);
+    }
+    if (!RULE_CRITERIA.some((key) => clean[key] !== undefined)) {
+      throw new Error(`Rule ${index + 1} needs at least one of: ${RULE_CRITERIA.join(', ')}.`);
+    }
+    return clean;
+  });
+  return { version: 1, rules };
+}
+
+/**
+ * The saved rule set, or the defaults when none was saved or the saved
+ * one is no longer valid.
+ * @returns {Promise<Object>}
+ */
+async function loadClassification() {
+  const data = await chrome.storage.local.get(CLASSIFICATION_KEY);
+  if (!data[CLASSIFICATION_KEY]) return DEFAULT_CLASSIFICATION;
+  try {
+    return validateClassification(data[CLASSIFICATION_KEY]);
+  } catch (e) {
+    return DEFAULT_CLASSIFICATION;
+  }
+}
+
+/**
+ * Every category a rule set can produce, pages first.
+ * @param {Object} classification
+ * @returns {string[]}
+ */
+function classificationCategories(classification) {
+  return Array.from(new Set([PAGE_CATEGORY, ...classification.rules.map((rule) => rule.category)]));
+}
+
+function urlExtension(urlObj) {
+  const match = urlObj.pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Pick the category of a result.
+ * @param {string} url
+ * @param {Object} [item] The search result item, for `mime` and `fileFormat`.
+ * @param {Object} classification A rule set.
+ * @returns {string}
+ */
+function classifyResult(url, item, classification) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return PAGE_CATEGORY;
+  }
+  const ext = urlExtension(urlObj);
+  const host = urlObj.hostname.toLowerCase();
+  const mime = String((item && item.mime) || '').toLowerCase();
+  const fileFormat = String((item && item.fileFormat) || '').toLowerCase();
+  const rule = classification.rules.find(
+    (candidate) =>
+      (!candidate.extensions || candidate.extensions.includes(ext)) &&
+      (!candidate.mime || (mime && candidate.mime.some((prefix) => mime.startsWith(prefix)))) &&
+      (!candidate.fileFormat || (fileFormat && candidate.fileFormat.some((text) => fileFormat.includes(text)))) &&
+      (!candidate.hosts || candidate.hosts.some((pattern) => hostMatchesPattern(host, pattern))) &&
+      (!candidate.pattern || new RegExp(candidate.pattern, 'i').test(url))
+  );
+  return rule ? rule.category : PAGE_CATEGORY;
+}
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+// cli.js
+// Command line harvester for scheduled jobs on a server.  It runs the
+// same harvest engine as the extension (harvest.js) and writes the same
+// exports (export.js): the extension's classic scripts are loaded into
+// a Node vm context, where they share one global scope just like in
+// the service worker.  There is no chrome.* in that context: the
+// scripts only use it in functions the command line never calls, such
+// as loadClassification.  Progress goes to stderr; the export goes to
+// --out, or to stdout without it.  Needs Node 18 or later and nothing
+// else.
+//
+//   node cli.js --key KEY --cx ID --domains example.com,example.org --format csv --out urls.csv
+//
+// Exits with 0 when the run completed, 1 when it stopped early (the
+// URLs collected so far are still written) and 2 on invalid options.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+
+// In the order background.js imports them
+const ENGINE_SCRIPTS = [
+  'sitemap.js',
+  'status-check.js',
+  'scope.js',
+  'normalise.js',
+  'classify.js',
+  'export.js',
+  'providers.js',
+  'query.js',
+  'credentials.js',
+  'rate-limit.js',
+  'domain-lists.js',
+  'harvest.js'
+];
+
+// Attempts of a run, as in the service worker; failed attempts continue
+// from the request that failed
+const MAX_ATTEMPTS = 3;
+const ATTEMPT_RETRY_DELAY_MS = 3000;
+
+const USAGE = `Usage: node cli.js [options]
+
+  --config FILE        JSON file with any of the options below, named as
+                       in camelCase (e.g. "checkStatus"); flags win
+  --key KEY            API key; repeat to rotate through several keys
+                       (or set IPF_API_KEY)
+  --cx ID              Search engine ID, for Google (or set IPF_CSE_ID)
+  --provider NAME      google (default), bing or brave
+  --endpoint URL       Send requests to this API URL instead
+  --domains LIST       Domain entries, separated by commas or line breaks;
+                       repeatable (see the README for the entry syntax)
+  --domains-file FILE  Read domain entries from a TXT or CSV file
+  --format FORMAT      json (default), csv, txt, sitemap, ndjson or log
+  --out PATH           File to write, or a directory for the export files;
+                       stdout when left out
+  --deep               Split queries with more results than one query returns
+  --sitemaps           Compare the results with each domain's sitemaps
+  --check-status       Request every collected URL once the run is done
+  --terms TEXT         Search terms added to every query
+  --param NAME=VALUE   Search parameter such as lr=lang_de; repeatable
+  --min-interval MS    Fastest interval between requests per key
+  --max-interval MS    Slowest interval after rate-limit answers
+  --burst N            Requests a key may send at once after a pause
+  --quiet              Only print errors
+  --help               Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  key: { type: 'string', multiple: true },
+  cx: { type: 'string' },
+  provider: { type: 'string' },
+  endpoint: { type: 'string' },
+  domains: { type: 'string', multiple: true },
+  'domains-file': { type: 'string' },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  deep: { type: 'boolean' },
+  sitemaps: { type: 'boolean' },
+  'check-status': { type: 'boolean' },
+  terms: { type: 'string' },
+  param: { type: 'string', multiple: true },
+  'min-interval': { type: 'string' },
+  'max-interval': { type: 'string' },
+  burst: { type: 'string' },
+  quiet: { type: 'boolean' },
+  help: { type: 'boolean' }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Load the extension's scripts into a fresh vm context.
+ * @returns {Object} The context, whose globals are the scripts' functions.
+ */
+function loadEngine() {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    fetch,
+    URL,
+    URLSearchParams,
+    AbortController,
+    TextDecoder,
+    TextEncoder,
+    Blob,
+    DecompressionStream,
+    structuredClone
+  });
+  ENGINE_SCRIPTS.forEach((file) => {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  return context;
+}
+
+/**
+ * Merge the config file (if any), the environment and the flags into
+ * one set of run options.  Flags win over the config file, which wins
+ * over the environment.
+ * @param {string[]} argv
+ * @param {Object} env
+ * @returns {Object}
+ * @throws {UsageError}
+ */
+function readOptions(argv, env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const flags = parsed.values;
+  if (flags.help) return { help: true };
+  let config = {};
+  if (flags.config) {
+    try {
+      config = JSON.parse(fs.readFileSync(flags.config, 'utf8'));
+    } catch (err) {
+      throw new UsageError(`Cannot read the config file: ${err.message}`);
+    }
+  }
+  const list = (value) => (value === undefined ? [] : [].concat(value));
+  const params = { ...config.params };
+  list(flags.param).forEach((pair) => {
+    const match = pair.match(/^([^=]+)=(.*)$/);
+    if (!match) throw new UsageError(`--param takes NAME=VALUE, not "${pair}".`);
+    params[match[1]] = match[2];
+  });
+  const pick = (flag, name) => (flag !== undefined ? flag : config[name]);
+  return {
+    keys: flags.key ? flags.key : list(config.keys || config.key || env.IPF_API_KEY),
+    cx: pick(flags.cx, 'cx') || env.IPF_CSE_ID || '',
+    provider: pick(flags.provider, 'provider'),
+    endpoint: pick(flags.endpoint, 'endpoint'),
+    domains: flags.domains ? flags.domains : list(config.domains),
+    domainsFile: pick(flags['domains-file'], 'domainsFile'),
+    format: pick(flags.format, 'format') || 'json',
+    out: pick(flags.out, 'out'),
+    deepHarvest: Boolean(pick(flags.deep, 'deepHarvest')),
+    compareSitemaps: Boolean(pick(flags.sitemaps, 'compareSitemaps')),
+    checkStatus: Boolean(pick(flags['check-status'], 'checkStatus')),
+    search: { terms: pick(flags.terms, 'terms') || '', params },
+    normalise: config.normalise,
+    classification: config.classification,
+    rateLimits: {
+      ...config.rateLimits,
+      ...(flags['min-interval'] !== undefined && { minIntervalMs: flags['min-interval'] }),
+      ...(flags['max-interval'] !== undefined && { maxIntervalMs: flags['max-interval'] }),
+      ...(flags.burst !== undefined && { burst: flags.burst })
+    },
+    quiet: Boolean(flags.quiet)
+  };
+}
+
+/**
+ * Check the run options with the extension's own validators and build
+ * what startHarvest takes.
+ * @param {Object} engine Result of loadEngine.
+ * @param {Object} options Result of readOptions.
+ * @returns {{pool: Object, domains: string[], context: Object}}
+ * @throws {UsageError}
+ */
+function prepareRun(engine, options) {
+  const { SEARCH_PROVIDERS, DEFAULT_PROVIDER, EXPORT_FORMATS } = vm.runInContext(
+    '({ SEARCH_PROVIDERS, DEFAULT_PROVIDER, EXPORT_FORMATS })',
+    engine
+  );
+  const provider = options.provider || DEFAULT_PROVIDER;
+  if (!SEARCH_PROVIDERS[provider]) throw new UsageError(`Unknown search provider: ${provider}`);
+  if (!options.keys.length) throw new UsageError('Pass an API key with --key or IPF_API_KEY.');
+  if (SEARCH_PROVIDERS[provider].needsEngineId && !options.cx) {
+    throw new UsageError(`${SEARCH_PROVIDERS[provider].label} needs a search engine ID: pass --cx or set IPF_CSE_ID.`);
+  }
+  if (!EXPORT_FORMATS[options.format]) {
+    throw new UsageError(`Unknown format: ${options.format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  let entries = options.domains.flatMap((text) => engine.splitDomainEntries(text));
+  if (options.domainsFile) {
+    let text;
+    try {
+      text = fs.readFileSync(options.domainsFile, 'utf8');
+    } catch (err) {
+      throw new UsageError(`Cannot read the domains file: ${err.message}`);
+    }
+    const { entries: imported, invalid } = engine.parseDomainFile(text, options.domainsFile);
+    if (invalid.length) throw new UsageError(`No host name in ${invalid.map((value) => `"${value}"`).join(', ')}.`);
+    entries = entries.concat(imported);
+  }
+  if (!entries.length) throw new UsageError('Pass the domains to harvest with --domains or --domains-file.');
+  const { errors } = engine.checkDomainEntries(entries);
+  if (errors.length) throw new UsageError(errors.join('\n'));
+  let rateLimits;
+  let classification;
+  try {
+    engine.searchOptions(options.search, provider);
+    engine.normalisationOptions(options.normalise);
+    rateLimits = engine.rateLimitSettings(options.rateLimits);
+    if (options.classification) classification = engine.validateClassification(options.classification);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const pool = {
+    provider,
+    endpoint: options.endpoint || SEARCH_PROVIDERS[provider].endpoint,
+    keys: options.keys.map((apiKey) => ({ name: engine.credentialLabel(apiKey, []), apiKey, cseId: options.cx })),
+    index: 0,
+    rateLimits
+  };
+  const context = {
+    deepHarvest: options.deepHarvest,
+    compareSitemaps: options.compareSitemaps,
+    checkStatus: options.checkStatus,
+    normalise: options.normalise,
+    search: options.search,
+    classification
+  };
+  return { pool, domains: engine.dedupeDomainEntries(entries), context };
+}
+
+/**
+ * Harvest with up to MAX_ATTEMPTS attempts, reporting every new status
+ * line to `log`.
+ * @param {Object} engine Result of loadEngine.
+ * @param {{pool: Object, domains: string[], context: Object}} run
+ * @param {function(string)} log
+ * @returns {Promise<{state: Object, result: Object}>}
+ */
+async function harvest(engine, run, log) {
+  let state = null;
+  const shown = { attemptLabel: '', status: '' };
+  engine.setHarvestHost({
+    persist: (changed) => {
+      ['attemptLabel', 'status'].forEach((field) => {
+        if (changed[field] && changed[field] !== shown[field]) log(changed[field]);
+        shown[field] = changed[field];
+      });
+    },
+    started: (started) => {
+      state = started;
+    }
+  });
+  let result;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    result = await engine.startHarvest(run.pool, run.domains, {
+      ...run.context,
+      attempt,
+      maxAttempts: MAX_ATTEMPTS,
+      resumeState: state,
+      retry: attempt > 1
+    });
+    if (result.success || result.recoverable === false || attempt === MAX_ATTEMPTS) break;
+    await new Promise((resolve) => setTimeout(resolve, ATTEMPT_RETRY_DELAY_MS));
+  }
+  return { state, result };
+}
+
+/**
+ * Write the export files of a state: to stdout, to the file named by
+ * `out`, or into `out` when it is a directory or the export has more
+ * than one file.
+ * @param {Object} engine Result of loadEngine.
+ * @param {Object} state
+ * @param {string} format
+ * @param {string} [out]
+ * @param {function(string)} log
+ * @returns {string[]} The files written, none for stdout.
+ */
+function writeExport(engine, state, format, out, log) {
+  const files = engine.buildExportFiles(state, format);
+  if (!out) {
+    files.forEach((file) => process.stdout.write(file.content));
+    return [];
+  }
+  const isDirectory = fs.existsSync(out) && fs.statSync(out).isDirectory();
+  if (!isDirectory && files.length === 1) {
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, files[0].content);
+    return [out];
+  }
+  if (!isDirectory) {
+    log(`The export has ${files.length} files, writing them into the directory ${out}`);
+    fs.mkdirSync(out, { recursive: true });
+  }
+  return files.map((file) => {
+    const target = path.join(out, file.filename);
+    fs.writeFileSync(target, file.content);
+    return target;
+  });
+}
+
+async function main(argv, env) {
+  let options;
+  try {
+    options = readOptions(argv, env);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const log = options.quiet ? () => {} : (line) => process.stderr.write(`${line}\n`);
+  const engine = loadEngine();
+  let run;
+  try {
+    run = prepareRun(engine, options);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`${err.message}\n`);
+    return 2;
+  }
+  const { state, result } = await harvest(engine, run, log);
+  if (state) {
+    writeExport(engine, state, options.format, options.out, log).forEach((target) => log(`Wrote ${target}`));
+  }
+  if (!result.success) {
+    process.stderr.write(`${result.message}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+main(process.argv.slice(2), process.env).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    process.stderr.write(`${err.stack || err.message}\n`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,267 @@
+// credentials.js
+// Named credential profiles (an API key with its search engine ID, for
+// one of the search providers in providers.js), shared by the popup,
+// which saves and picks them, and the service worker, which turns them
+// into the pool of keys a run rotates through when a key runs out of
+// daily quota.  The key in use is still stored under `apiKey`/`cseId`,
+// for the provider under SEARCH_PROVIDER_KEY; profiles are kept
+// alongside.
+//
+// Where those secrets are kept depends on the storage mode the user
+// picked (CREDENTIAL_STORAGE_MODES): in chrome.storage.local as they
+// are, only in chrome.storage.session so they are gone when the
+// browser closes, or encrypted with a passphrase (vault.js).  An
+// unlocked vault keeps the decrypted secrets and its key in
+// chrome.storage.session, where the service worker reads them too;
+// while it is locked no credentials can be read.
+
+const CREDENTIAL_PROFILES_KEY = 'credentialProfiles';
+const ROTATE_KEYS_KEY = 'rotateKeys';
+const SEARCH_PROVIDER_KEY = 'searchProvider';
+const CREDENTIAL_STORAGE_KEY = 'credentialStorage';
+// The encrypted record in chrome.storage.local, and the unlocked key
+// in chrome.storage.session
+const VAULT_RECORD_KEY = 'credentialVault';
+const VAULT_SESSION_KEY = 'credentialVaultKey';
+
+const CREDENTIAL_STORAGE_MODES = {
+  local: 'Saved in this browser profile',
+  vault: 'Encrypted with a passphrase',
+  session: 'Forgotten when the browser closes'
+};
+// The settings that hold secrets and follow the storage mode
+const SECRET_CREDENTIAL_KEYS = ['apiKey', 'cseId', CREDENTIAL_PROFILES_KEY];
+const VAULT_LOCKED_MESSAGE = 'Unlock the saved credentials first.';
+
+/**
+ * The storage mode picked for credentials; `local` unless another one
+ * was chosen.
+ * @returns {Promise<string>} Key of CREDENTIAL_STORAGE_MODES.
+ */
+async function credentialStorageMode() {
+  const data = await chrome.storage.local.get(CREDENTIAL_STORAGE_KEY);
+  return CREDENTIAL_STORAGE_MODES[data[CREDENTIAL_STORAGE_KEY]] ? data[CREDENTIAL_STORAGE_KEY] : 'local';
+}
+
+/**
+ * Whether the saved credentials can be read: always, except from a
+ * locked vault.
+ * @returns {Promise<boolean>}
+ */
+async function credentialsUnlocked() {
+  if ((await credentialStorageMode()) !== 'vault') return true;
+  const data = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  return Boolean(data[VAULT_SESSION_KEY]);
+}
+
+/**
+ * Read secret settings (SECRET_CREDENTIAL_KEYS) from where the storage
+ * mode keeps them.  A locked vault reads as empty.
+ * @param {string|string[]} keys
+ * @returns {Promise<Object>}
+ */
+async function readCredentialSettings(keys) {
+  const mode = await credentialStorageMode();
+  return (mode === 'local' ? chrome.storage.local : chrome.storage.session).get(keys);
+}
+
+// Writes go one after the other, so the vault is never sealed with
+// older values than the last write
+let credentialWrites = Promise.resolve();
+
+function serialiseCredentialWrite(write) {
+  const run = credentialWrites.then(write);
+  credentialWrites = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Save secret settings where the storage mode keeps them, encrypting
+ * the vault again when it is in use.
+ * @param {Object} values
+ * @returns {Promise<void>}
+ * @throws {Error} When the vault is locked.
+ */
+function writeCredentialSettings(values) {
+  return serialiseCredentialWrite(async () => {
+    const mode = await credentialStorageMode();
+    if (mode === 'local') {
+      await chrome.storage.local.set(values);
+      return;
+    }
+    if (mode === 'session') {
+      await chrome.storage.session.set(values);
+      return;
+    }
+    const unlocked = (await chrome.storage.session.get(VAULT_SESSION_KEY))[VAULT_SESSION_KEY];
+    if (!unlocked) throw new Error(VAULT_LOCKED_MESSAGE);
+    await chrome.storage.session.set(values);
+    const secrets = await chrome.storage.session.get(SECRET_CREDENTIAL_KEYS);
+    const record = await sealVault(await importVaultKey(unlocked.raw), secrets, unlocked);
+    await chrome.storage.local.set({ [VAULT_RECORD_KEY]: record });
+  });
+}
+
+/**
+ * Move the saved credentials to another storage mode.  Picking the
+ * vault again changes its passphrase.
+ * @param {string} mode Key of CREDENTIAL_STORAGE_MODES.
+ * @param {string} [passphrase] The new passphrase, for the vault.
+ * @returns {Promise<void>}
+ * @throws {Error} With a message fit for the user, e.g. when the vault
+ *   is locked or the passphrase too short.
+ */
+function setCredentialStorageMode(mode, passphrase) {
+  return serialiseCredentialWrite(async () => {
+    if (!CREDENTIAL_STORAGE_MODES[mode]) throw new Error(`Unknown credential storage: ${mode}`);
+    const current = await credentialStorageMode();
+    if (mode === current && mode !== 'vault') return;
+    if (!(await credentialsUnlocked())) throw new Error(VAULT_LOCKED_MESSAGE);
+    const secrets = await readCredentialSettings(SECRET_CREDENTIAL_KEYS);
+    // Write the new copy before dropping the old one
+    if (mode === 'local') {
+      await chrome.storage.local.set(secrets);
+    } else if (mode === 'session') {
+      await chrome.storage.session.set(secrets);
+    } else {
+      const { key, salt, iterations } = await createVaultKey(passphrase);
+      await chrome.storage.local.set({ [VAULT_RECORD_KEY]: await sealVault(key, secrets, { salt, iterations }) });
+      await chrome.storage.session.set({ ...secrets, [VAULT_SESSION_KEY]: { raw: await exportVaultKey(key), salt, iterations } });
+    }
+    await chrome.storage.local.set({ [CREDENTIAL_STORAGE_KEY]: mode });
+    if (mode !== 'local') await chrome.storage.local.remove(SECRET_CREDENTIAL_KEYS);
+    if (mode !== 'vault') {
+      await chrome.storage.local.remove(VAULT_RECORD_KEY);
+      await chrome.storage.session.remove(VAULT_SESSION_KEY);
+    }
+    if (mode === 'local') await chrome.storage.session.remove(SECRET_CREDENTIAL_KEYS);
+  });
+}
+
+/**
+ * Decrypt the vault for the rest of the browser session.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong.
+ */
+async function unlockCredentials(passphrase) {
+  const record = (await chrome.storage.local.get(VAULT_RECORD_KEY))[VAULT_RECORD_KEY];
+  if (!record) throw new Error('There are no encrypted credentials.');
+  const { key, values } = await openVault(record, passphrase);
+  const unlocked = { raw: await exportVaultKey(key), salt: record.salt, iterations: record.iterations };
+  await chrome.storage.session.set({ ...values, [VAULT_SESSION_KEY]: unlocked });
+}
+
+/**
+ * Forget the decrypted credentials until the vault is unlocked again.
+ * @returns {Promise<void>}
+ */
+async function lockCredentials() {
+  await chrome.storage.session.remove([...SECRET_CREDENTIAL_KEYS, VAULT_SESSION_KEY]);
+}
+
+/**
+ * Delete the encrypted credentials for good, e.g. when the passphrase
+ * is forgotten, and go back to plain storage.
+ * @returns {Promise<void>}
+ */
+function forgetCredentialVault() {
+  return serialiseCredentialWrite(async () => {
+    await chrome.storage.local.remove([VAULT_RECORD_KEY, CREDENTIAL_STORAGE_KEY]);
+    await lockCredentials();
+  });
+}
+
+/**
+ * What the user has to do when loadSavedCredentials finds none, to
+ * finish a sentence such as `Cannot resume: … first.`
+ * @param {string} provider Key of SEARCH_PROVIDERS.
+ * @returns {Promise<string>}
+ */
+async function credentialsNeeded(provider) {
+  return (await credentialsUnlocked())
+    ? `enter the ${searchProvider(provider).label} credentials`
+    : 'unlock the saved credentials';
+}
+
+/**
+ * List the saved profiles.  Profiles saved before providers existed are
+ * Google profiles.
+ * @returns {Promise<{name: string, provider: string, apiKey: string, cseId: string}[]>}
+ */
+async function loadCredentialProfiles() {
+  const data = await readCredentialSettings(CREDENTIAL_PROFILES_KEY);
+  const profiles = Array.isArray(data[CREDENTIAL_PROFILES_KEY]) ? data[CREDENTIAL_PROFILES_KEY] : [];
+  return profiles.map((profile) => ({ ...profile, provider: profile.provider || DEFAULT_PROVIDER }));
+}
+
+async function saveCredentialProfiles(profiles) {
+  await writeCredentialSettings({ [CREDENTIAL_PROFILES_KEY]: profiles });
+}
+
+/**
+ * A name for a key that is safe to show and log: its profile's name, or
+ * the last characters of the key when it has no profile.
+ * @param {string} apiKey
+ * @param {Object[]} profiles
+ * @returns {string}
+ */
+function credentialLabel(apiKey, profiles) {
+  const profile = profiles.find((candidate) => candidate.apiKey === apiKey);
+  return profile ? profile.name : `key …${String(apiKey).slice(-4)}`;
+}
+
+/**
+ * Whether a profile (or the popup's fields) has everything a provider
+ * needs.
+ * @param {{apiKey: string, cseId: string}} credentials
+ * @param {string} provider
+ * @returns {boolean}
+ */
+function credentialsComplete(credentials, provider) {
+  return Boolean(credentials.apiKey && (credentials.cseId || !searchProvider(provider).needsEngineId));
+}
+
+/**
+ * The keys a run may use, in order: the key it was started with, then,
+ * when rotation is on, every other profile's key for the same provider.
+ * @param {string} apiKey
+ * @param {string} cseId
+ * @param {string} provider Key of SEARCH_PROVIDERS.
+ * @returns {Promise<{name: string, apiKey: string, cseId: string}[]>}
+ */
+async function loadCredentialPool(apiKey, cseId, provider) {
+  const profiles = (await loadCredentialProfiles()).filter((profile) => profile.provider === provider);
+  const data = await chrome.storage.local.get(ROTATE_KEYS_KEY);
+  const pool = [{ name: credentialLabel(apiKey, profiles), apiKey, cseId }];
+  if (data[ROTATE_KEYS_KEY]) {
+    profiles.forEach((profile) => {
+      if (credentialsComplete(profile, provider) && !pool.some((entry) => entry.apiKey === profile.apiKey)) {
+        pool.push({ name: profile.name, apiKey: profile.apiKey, cseId: profile.cseId });
+      }
+    });
+  }
+  return pool;
+}
+
+/**
+ * The credentials a run uses; the service worker always reads them
+ * here rather than have them passed around in messages.  That is the
+ * popup's key when it is for the provider, otherwise the first profile
+ * for it.
+ * @param {string} provider Key of SEARCH_PROVIDERS.
+ * @returns {Promise<?{apiKey: string, cseId: string}>} null when none
+ *   are saved.
+ */
+async function loadSavedCredentials(provider) {
+  const data = await readCredentialSettings(['apiKey', 'cseId']);
+  const selected = (await chrome.storage.local.get(SEARCH_PROVIDER_KEY))[SEARCH_PROVIDER_KEY];
+  const current = { apiKey: data.apiKey, cseId: data.cseId || '' };
+  if ((selected || DEFAULT_PROVIDER) === provider && credentialsComplete(current, provider)) {
+    return current;
+  }
+  const profile = (await loadCredentialProfiles()).find(
+    (candidate) => candidate.provider === provider && credentialsComplete(candidate, provider)
+  );
+  return profile ? { apiKey: profile.apiKey, cseId: profile.cseId || '' } : null;
+}
@@ -0,0 +1,213 @@
+// domain-lists.js
+// The popup's domain list: splitting it into entries, importing entries
+// from TXT and CSV files, flagging duplicate and overlapping entries and
+// keeping named lists for reuse.  Entries themselves are parsed by
+// scope.js; imported values are reduced to host names with the same
+// normaliseDomain the exports use (export.js).
+
+const DOMAIN_LISTS_KEY = 'domainLists';
+
+// CSV columns that hold the domain, checked in this order; without any
+// of them the first column is used
+const DOMAIN_COLUMNS = ['domain', 'host', 'hostname', 'site', 'website', 'url'];
+
+/**
+ * Split the domain field into entries.  Entries are separated by line
+ * breaks or commas, so lists pasted one per line and the comma-separated
+ * form saved by earlier versions both work.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitDomainEntries(text) {
+  return String(text || '')
+    .split(/\s*[\r\n,]+\s*/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells.  Commas,
+ * semicolons and tabs are accepted as separators, whichever the first
+ * line uses most.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function csvRows(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Reduce an imported value to a domain entry.  URLs and hosts with a
+ * path become their host name (`https://www.example.com/page` becomes
+ * `example.com`); values written in the domain field's own syntax, with
+ * `=`, rules or search terms, are kept as they are.
+ * @param {string} value
+ * @returns {string} '' when the value holds no usable host name.
+ */
+function importedDomainEntry(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  if (/^=|\||\s[/+-]/.test(text)) return text;
+  return toHostname(normaliseDomain(text));
+}
+
+/**
+ * Read the domain entries of an imported file.  TXT files have one
+ * entry per line (`#` starts a comment); CSV files are recognised by
+ * name and read from their domain column (see DOMAIN_COLUMNS).
+ * @param {string} text The file's content.
+ * @param {string} [fileName]
+ * @returns {{entries: string[], invalid: string[]}} Entries in file
+ *   order, and the values no host name could be read from.
+ */
+function parseDomainFile(text, fileName = '') {
+  let values;
+  if (/\.csv$/i.test(fileName)) {
+    const rows = csvRows(String(text || ''));
+    const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+    const named = DOMAIN_COLUMNS.map((name) => header.indexOf(name)).find((index) => index !== -1);
+    const column = named === undefined ? 0 : named;
+    values = rows.slice(named === undefined ? 0 : 1).map((cells) => cells[column] || '');
+  } else {
+    values = String(text || '')
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(^|\s)#.*$/, ''));
+  }
+  const entries = [];
+  const invalid = [];
+  values.forEach((value) => {
+    if (!value.trim()) return;
+    const entry = importedDomainEntry(value);
+    if (entry) entries.push(entry);
+    else invalid.push(value.trim());
+  });
+  return { entries, invalid };
+}
+
+/**
+ * Whether scope `a` covers every URL of scope `b` as its parent: `a`
+ * has no rules and `b`'s host is `a`'s domain or `a`'s domain with one
+ * more label in front.  Hosts are compared as typed, not by registrable
+ * domain, which would take the public suffix list, so only such exact
+ * parent/child pairs are flagged: `shop.eu.example.com` is not flagged
+ * next to `example.com`, and `alice.github.io` only next to a typed
+ * `github.io` (whose `site:` search does cover every github.io site).
+ * @param {Object} a Result of parseDomainScope.
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function scopeCovers(a, b) {
+  const unrestricted = !a.scheme && !a.paths.length && !a.include.length && !a.exclude.length && !a.terms.length;
+  if (!unrestricted) return false;
+  if (a.exact) return b.exact && b.domain === a.domain;
+  return b.domain === a.domain || b.domain.slice(b.domain.indexOf('.') + 1) === a.domain;
+}
+
+/**
+ * Check a list of domain entries.  Invalid entries are errors; entries
+ * listed twice and entries already covered by their parent (such as
+ * `blog.example.com` next to `example.com`, see scopeCovers) are
+ * warnings, as they only cost quota.
+ * @param {string[]} entries
+ * @returns {{errors: string[], warnings: string[]}} Messages fit for the
+ *   user, in list order.
+ */
+function checkDomainEntries(entries) {
+  const errors = [];
+  const warnings = [];
+  const parsed = [];
+  entries.forEach((entry) => {
+    try {
+      parsed.push({ entry, scope: parseDomainScope(entry) });
+    } catch (e) {
+      errors.push(e.message);
+    }
+  });
+  const seen = new Map();
+  parsed.forEach(({ entry, scope }) => {
+    const key = JSON.stringify(scope);
+    if (seen.has(key)) {
+      warnings.push(`"${entry}" is listed more than once.`);
+      return;
+    }
+    seen.set(key, entry);
+    const broader = parsed.find(
+      (other) => other.scope !== scope && JSON.stringify(other.scope) !== key && scopeCovers(other.scope, scope)
+    );
+    if (broader) warnings.push(`"${entry}" is already covered by "${broader.entry}".`);
+  });
+  return { errors, warnings };
+}
+
+/**
+ * Drop entries that repeat an earlier one, comparing their parsed
+ * scopes so `Example.com` and `example.com` count as the same.
+ * Entries that do not parse are kept, for the validator to report.
+ * @param {string[]} entries
+ * @returns {string[]}
+ */
+function dedupeDomainEntries(entries) {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    let key;
+    try {
+      key = JSON.stringify(parseDomainScope(entry));
+    } catch (e) {
+      return true;
+    }
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * List the saved domain lists.
+ * @returns {Promise<{name: string, domains: string[]}[]>}
+ */
+async function loadDomainLists() {
+  const data = await chrome.storage.local.get(DOMAIN_LISTS_KEY);
+  return Array.isArray(data[DOMAIN_LISTS_KEY]) ? data[DOMAIN_LISTS_KEY] : [];
+}
+
+async function saveDomainLists(lists) {
+  await chrome.storage.local.set({ [DOMAIN_LISTS_KEY]: lists });
+}
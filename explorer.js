@@ -0,0 +1,467 @@
+// explorer.js
+// Script for the results explorer page.  Shows the URLs of the current
+// or last run (the `fetchState` the service worker keeps, with its
+// results read from IndexedDB through result-store.js) in a table
+// that can be searched, filtered, sorted and browsed through a
+// per-domain directory tree, shows what the HTTP status check found
+// when the run had one, copies selected URLs and exports the
+// filtered subset in any export format.  Rows come from the same
+// grouping as the exports (export.js), so both agree on domains and
+// categories.
+
+// Rows are rendered in pages so that large runs stay responsive
+const EXPLORER_PAGE_SIZE = 500;
+// While a run is going the state changes on every request
+const EXPLORER_REFRESH_MS = 1000;
+
+/**
+ * One row per stored URL: `{ domain, category, url, ...metadata }` plus
+ * the host and path segments the directory tree works on, the text
+ * searched by the search box and the status check summed up as `status`
+ * (the text shown) and `statusFlags` (what the status filter matches:
+ * the flags of statusCheckFlags, or `ok` for a checked URL without any).
+ * @param {Object} state The fetch state.
+ * @returns {Object[]}
+ */
+function explorerRows(state) {
+  return exportRows(buildGroupedExport(state)).map((row) => {
+    let host = '';
+    let segments = [];
+    try {
+      const urlObj = new URL(row.url);
+      host = urlObj.hostname.toLowerCase();
+      segments = urlObj.pathname.split('/').filter(Boolean);
+    } catch (e) {
+      // Unparseable URLs only show up at the domain level of the tree
+    }
+    const query = row.sources && row.sources.length ? row.sources[0].query : '';
+    const searchText = [row.url, row.title, row.snippet].filter(Boolean).join('\n').toLowerCase();
+    const check = row.statusCheck;
+    let status = '';
+    let statusFlags = [];
+    if (check) {
+      status = check.error ? 'error' : check.redirectNotFollowed ? 'redirect (not followed)' : String(check.status);
+      if (check.finalUrl) status += ` → ${check.finalUrl}`;
+      if (check.noindex) status += ' noindex';
+      statusFlags = statusCheckFlags(check);
+      if (!statusFlags.length) statusFlags = ['ok'];
+    }
+    return { ...row, host, segments, query, engine: row.engine || '', searchText, status, statusFlags };
+  });
+}
+
+/**
+ * Build the directory tree of a set of rows: domain, then host, then
+ * one level per path segment.  Every node counts the URLs below it.
+ * @param {Object[]} rows Result of explorerRows.
+ * @returns {Map<string, Object>} Domain nodes keyed by domain; each node
+ *   is `{ name, count, path, children: Map }`.
+ */
+function buildUrlTree(rows) {
+  const roots = new Map();
+  const child = (node, name, path) => {
+    if (!node.children.has(name)) node.children.set(name, { name, count: 0, path, children: new Map() });
+    return node.children.get(name);
+  };
+  rows.forEach((row) => {
+    if (!roots.has(row.domain)) {
+      roots.set(row.domain, { name: row.domain, count: 0, path: { domain: row.domain }, children: new Map() });
+    }
+    let node = roots.get(row.domain);
+    node.count++;
+    if (!row.host) return;
+    node = child(node, row.host, { domain: row.domain, host: row.host, segments: [] });
+    node.count++;
+    // The last segment is the page itself, not a directory
+    row.segments.slice(0, -1).forEach((segment, index) => {
+      node = child(node, `${segment}/`, {
+        domain: row.domain,
+        host: row.host,
+        segments: row.segments.slice(0, index + 1)
+      });
+      node.count++;
+    });
+  });
+  return roots;
+}
+
+/**
+ * Whether a row is under a node of the directory tree.
+ * @param {Object} row
+ * @param {?{domain: string, host?: string, segments?: string[]}} path
+ * @returns {boolean}
+ */
+function rowInTreePath(row, path) {
+  if (!path) return true;
+  if (row.domain !== path.domain) return false;
+  if (path.host === undefined) return true;
+  if (row.host !== path.host) return false;
+  return path.segments.every((segment, index) => row.segments[index] === segment);
+}
+
+// Choices of the status filter, in the order they are listed
+const STATUS_FILTERS = ['ok', 'broken', 'redirected', 'noindex', 'error'];
+const STATUS_FILTER_LABELS = {
+  ok: 'OK',
+  broken: 'Broken (4xx/5xx)',
+  redirected: 'Redirected',
+  noindex: 'Noindex',
+  error: 'Unreachable'
+};
+
+/**
+ * Everything a status check recorded, one item per line, for the
+ * tooltip of the status column.
+ * @param {Object} check Result of checkUrlStatus.
+ * @returns {string}
+ */
+function describeStatusCheck(check) {
+  const lines = [check.error ? `Error: ${check.error}` : `Status: ${check.redirectNotFollowed ? 'redirect' : check.status}`];
+  if (check.checkedUrl) lines.push(`Checked as indexed: ${check.checkedUrl}`);
+  if (check.finalUrl) lines.push(`Redirected to: ${check.finalUrl}`);
+  if (check.redirectNotFollowed) lines.push('Redirects to another site, not followed');
+  if (check.xRobotsTag) lines.push(`X-Robots-Tag: ${check.xRobotsTag}`);
+  if (check.metaRobots) lines.push(`Meta robots: ${check.metaRobots}`);
+  if (check.canonical) lines.push(`Canonical: ${check.canonical}`);
+  lines.push(`Checked ${new Date(check.checkedAt).toLocaleString()}`);
+  return lines.join('\n');
+}
+
+function compareText(a, b) {
+  return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const runSummary = document.getElementById('runSummary');
+  const searchInput = document.getElementById('searchText');
+  const domainFilter = document.getElementById('domainFilter');
+  const categoryFilter = document.getElementById('categoryFilter');
+  const engineFilter = document.getElementById('engineFilter');
+  const statusFilter = document.getElementById('statusFilter');
+  const countsEl = document.getElementById('counts');
+  const copyBtn = document.getElementById('copyBtn');
+  const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportBtn = document.getElementById('exportBtn');
+  const statusEl = document.getElementById('status');
+  const treeEl = document.getElementById('tree');
+  const selectAll = document.getElementById('selectAll');
+  const rowsBody = document.getElementById('rowsBody');
+  const emptyNote = document.getElementById('emptyNote');
+  const moreBtn = document.getElementById('moreBtn');
+  const sortHeaders = Array.from(document.querySelectorAll('th[data-sort]'));
+
+  let state = null;
+  let rows = [];
+  let filtered = [];
+  let shown = EXPLORER_PAGE_SIZE;
+  let treePath = null;
+  let activeTreeLink = null;
+  // Directories left open, so reloads during a run keep the tree as it was
+  const openPaths = new Set();
+  const sort = { key: 'domain', descending: false };
+  const selected = new Set();
+
+  // The request log describes the whole run, so it is not offered here
+  Object.keys(EXPORT_FORMATS)
+    .filter((format) => format !== 'log')
+    .forEach((format) => {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = EXPORT_FORMATS[format].label;
+      exportFormatSelect.appendChild(option);
+    });
+
+  // Keep a filter's choice when its options are rebuilt after a reload
+  const fillFilter = (select, allLabel, values, labelOf = (value) => value) => {
+    const previous = select.value;
+    select.textContent = '';
+    [['', allLabel], ...values.map((value) => [value, labelOf(value)])].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = values.includes(previous) ? previous : '';
+  };
+
+  const describeState = () => {
+    if (!state) return 'No harvest has run yet.';
+    const parts = [`${state.domains.join(', ')} on ${searchProvider(state.provider).label}`];
+    const query = describeSearchOptions(state.search);
+    if (query) parts.push(`query ${query}`);
+    if (state.startedAt) parts.push(`started ${new Date(state.startedAt).toLocaleString()}`);
+    if (state.status) parts.push(state.status);
+    return parts.join(' · ');
+  };
+
+  function renderTree() {
+    treeEl.textContent = '';
+    activeTreeLink = null;
+    const activeKey = treePath && JSON.stringify(treePath);
+    const makeLink = (node) => {
+      const link = document.createElement('a');
+      if (JSON.stringify(node.path) === activeKey) {
+        link.classList.add('active');
+        activeTreeLink = link;
+      }
+      link.textContent = `${node.name} (${node.count})`;
+      link.title = 'Show only the URLs below this directory';
+      link.addEventListener('click', (event) => {
+        // Filter without opening or closing the directory
+        event.preventDefault();
+        const same = activeTreeLink === link;
+        if (activeTreeLink) activeTreeLink.classList.remove('active');
+        activeTreeLink = same ? null : link;
+        if (activeTreeLink) activeTreeLink.classList.add('active');
+        treePath = same ? null : node.path;
+        applyFilters();
+      });
+      return link;
+    };
+    // Children are only built when a directory is first opened
+    const renderNode = (node, parent) => {
+      if (!node.children.size) {
+        const leaf = document.createElement('div');
+        leaf.className = 'leaf';
+        leaf.appendChild(makeLink(node));
+        parent.appendChild(leaf);
+        return;
+      }
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      const key = JSON.stringify(node.path);
+      summary.appendChild(makeLink(node));
+      details.appendChild(summary);
+      details.addEventListener('toggle', () => {
+        if (details.open) openPaths.add(key);
+        else openPaths.delete(key);
+      });
+      details.addEventListener(
+        'toggle',
+        () => {
+          Array.from(node.children.values())
+            .sort((a, b) => compareText(a.name, b.name))
+            .forEach((childNode) => renderNode(childNode, details));
+        },
+        { once: true }
+      );
+      parent.appendChild(details);
+      if (openPaths.has(key)) details.open = true;
+    };
+    buildUrlTree(rows).forEach((node) => renderNode(node, treeEl));
+  }
+
+  function renderRows() {
+    rowsBody.textContent = '';
+    filtered.slice(0, shown).forEach((row) => {
+      const tr = document.createElement('tr');
+      const checkCell = document.createElement('td');
+      checkCell.className = 'check';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selected.has(row.url);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(row.url);
+        else selected.delete(row.url);
+        updateCounts();
+      });
+      checkCell.appendChild(checkbox);
+      tr.appendChild(checkCell);
+      const cell = (text) => {
+        const td = document.createElement('td');
+        td.textContent = text || '';
+        return td;
+      };
+      tr.appendChild(cell(row.domain));
+      tr.appendChild(cell(row.category));
+      const urlCell = document.createElement('td');
+      const link = document.createElement('a');
+      link.href = row.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = row.url;
+      urlCell.appendChild(link);
+      if (row.variants) urlCell.title = `Also listed as:\n${row.variants.join('\n')}`;
+      tr.appendChild(urlCell);
+      const titleCell = cell(row.title);
+      if (row.snippet) titleCell.title = row.snippet;
+      tr.appendChild(titleCell);
+      tr.appendChild(cell(row.mime));
+      tr.appendChild(cell(row.engine && searchProvider(row.engine).label));
+      tr.appendChild(cell(row.query));
+      const statusCell = cell(row.status);
+      if (row.statusCheck) statusCell.title = describeStatusCheck(row.statusCheck);
+      tr.appendChild(statusCell);
+      rowsBody.appendChild(tr);
+    });
+    emptyNote.style.display = rows.length ? 'none' : 'block';
+    moreBtn.style.display = filtered.length > shown ? 'inline-block' : 'none';
+    moreBtn.textContent = `Show more (${filtered.length - shown} hidden)`;
+    updateCounts();
+  }
+
+  function updateCounts() {
+    const selectedShown = filtered.filter((row) => selected.has(row.url)).length;
+    countsEl.textContent = `${filtered.length} of ${rows.length} URLs, ${selected.size} selected`;
+    selectAll.checked = filtered.length > 0 && selectedShown === filtered.length;
+    selectAll.indeterminate = selectedShown > 0 && selectedShown < filtered.length;
+    copyBtn.disabled = selected.size === 0;
+    clearSelectionBtn.disabled = selected.size === 0;
+    exportBtn.disabled = filtered.length === 0;
+  }
+
+  function applyFilters(keepShown = false) {
+    const text = searchInput.value.trim().toLowerCase();
+    const domain = domainFilter.value;
+    const category = categoryFilter.value;
+    const engine = engineFilter.value;
+    const status = statusFilter.value;
+    filtered = rows.filter(
+      (row) =>
+        (!text || row.searchText.includes(text)) &&
+        (!domain || row.domain === domain) &&
+        (!category || row.category === category) &&
+        (!engine || row.engine === engine) &&
+        (!status || row.statusFlags.includes(status)) &&
+        rowInTreePath(row, treePath)
+    );
+    const direction = sort.descending ? -1 : 1;
+    filtered.sort((a, b) => direction * (compareText(a[sort.key], b[sort.key]) || compareText(a.url, b.url)));
+    sortHeaders.forEach((th) => {
+      const label = th.textContent.replace(/ [▲▼]$/, '');
+      th.textContent = th.dataset.sort === sort.key ? `${label} ${sort.descending ? '▼' : '▲'}` : label;
+    });
+    if (!keepShown) shown = EXPLORER_PAGE_SIZE;
+    renderRows();
+  }
+
+  function load(newState) {
+    state = newState || null;
+    rows = state ? explorerRows(state) : [];
+    runSummary.textContent = describeState();
+    const unique = (key) => Array.from(new Set(rows.map((row) => row[key]).filter(Boolean))).sort(compareText);
+    fillFilter(domainFilter, 'All domains', unique('domain'));
+    fillFilter(categoryFilter, 'All categories', unique('category'));
+    fillFilter(engineFilter, 'All engines', unique('engine'), (engine) => searchProvider(engine).label);
+    const flags = new Set(rows.flatMap((row) => row.statusFlags));
+    fillFilter(
+      statusFilter,
+      'Any status',
+      STATUS_FILTERS.filter((flag) => flags.has(flag)),
+      (flag) => STATUS_FILTER_LABELS[flag]
+    );
+    statusFilter.style.display = flags.size ? '' : 'none';
+    // URLs of a different run cannot stay selected
+    const known = new Set(rows.map((row) => row.url));
+    Array.from(selected).forEach((url) => {
+      if (!known.has(url)) selected.delete(url);
+    });
+    // A directory that is gone no longer filters
+    if (treePath && !rows.some((row) => rowInTreePath(row, treePath))) treePath = null;
+    renderTree();
+    applyFilters(true);
+  }
+
+  searchInput.addEventListener('input', () => applyFilters());
+  [domainFilter, categoryFilter, engineFilter, statusFilter].forEach((select) => select.addEventListener('change', () => applyFilters()));
+  sortHeaders.forEach((th) => {
+    th.addEventListener('click', () => {
+      sort.descending = sort.key === th.dataset.sort ? !sort.descending : false;
+      sort.key = th.dataset.sort;
+      applyFilters();
+    });
+  });
+  moreBtn.addEventListener('click', () => {
+    shown += EXPLORER_PAGE_SIZE;
+    renderRows();
+  });
+
+  selectAll.addEventListener('change', () => {
+    filtered.forEach((row) => {
+      if (selectAll.checked) selected.add(row.url);
+      else selected.delete(row.url);
+    });
+    renderRows();
+  });
+  clearSelectionBtn.addEventListener('click', () => {
+    selected.clear();
+    renderRows();
+  });
+  copyBtn.addEventListener('click', () => {
+    // In table order, whatever the selection order was
+    const urls = rows.filter((row) => selected.has(row.url)).map((row) => row.url);
+    navigator.clipboard.writeText(`${urls.join('\n')}\n`).then(
+      () => {
+        statusEl.textContent = `Copied ${urls.length} URLs.`;
+      },
+      (err) => {
+        statusEl.textContent = `Copy failed: ${err.message}`;
+      }
+    );
+  });
+
+  exportBtn.addEventListener('click', () => {
+    if (!state || filtered.length === 0) return;
+    const files = buildExportFiles(subsetState(state, filtered.map((row) => row.url)), exportFormatSelect.value);
+    if (files.length === 0) {
+      statusEl.textContent = 'Nothing to export in this format.';
+      return;
+    }
+    let failure = '';
+    let remaining = files.length;
+    files.forEach((file) => {
+      const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+      chrome.downloads.download({ url, filename: file.filename, saveAs: files.length === 1 }, () => {
+        if (chrome.runtime.lastError) failure = chrome.runtime.lastError.message;
+        remaining--;
+        if (remaining > 0) return;
+        statusEl.textContent = failure
+          ? `Download failed: ${failure}`
+          : `Exported ${filtered.length} URLs${files.length > 1 ? ` in ${files.length} files` : ''}.`;
+      });
+    });
+  });
+
+  // A run's results are read in full when it is first shown; while it
+  // goes on only the records written since the last read are added
+  let readSince = 0;
+  async function refresh(saved) {
+    if (saved && state && saved.runId && saved.runId === state.runId && !Array.isArray(saved.pagesResults)) {
+      const changes = await readResultChanges(saved.runId, readSince);
+      readSince = changes.version;
+      const next = { ...state, ...saved };
+      applyResultRecords(next, changes.records);
+      load(next);
+      return;
+    }
+    // Taken before the full read, so records committed during it are
+    // read again rather than missed
+    const since = saved && saved.runId ? await latestResultVersion(saved.runId) : 0;
+    load(await loadRunResults(saved));
+    readSince = since;
+  }
+
+  // Reads run one after the other, so a slow one is not overtaken
+  let reading = Promise.resolve();
+  function read() {
+    reading = reading
+      .then(() => chrome.storage.local.get('fetchState'))
+      .then((data) => refresh(data.fetchState))
+      .catch((err) => {
+        statusEl.textContent = `Reading results failed: ${err.message}`;
+      });
+  }
+
+  // Follow the run while it is going, at most once per EXPLORER_REFRESH_MS
+  let refreshTimer = null;
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.fetchState || refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      read();
+    }, EXPLORER_REFRESH_MS);
+  });
+
+  read();
+});
@@ -0,0 +1,508 @@
+// export.js
+// Builds downloadable exports from a fetch state.  Results are grouped
+// per configured domain first (buildGroupedExport); every export format
+// is rendered from that grouping so all formats agree on which URL
+// belongs to which domain.  URLs are assigned with the same scope
+// matcher the service worker used to collect them (scope.js), and are
+// grouped by the categories the service worker gave them (classify.js).
+// A run kept in IndexedDB is exported a page of results at a time
+// (streamExportFiles) rather than from a state holding all of them.
+
+// The sitemaps protocol allows at most 50,000 URLs per file.
+const SITEMAP_MAX_URLS = 50000;
+
+/**
+ * Reduce a user-entered domain (possibly with scheme, path or `www.`)
+ * to the bare hostname used as the export key.
+ * @param {string} domain
+ * @returns {string}
+ */
+function normaliseDomain(domain) {
+  if (!domain) return '';
+  let input = domain.trim();
+  if (!input) return '';
+  if (!/^https?:\/\//i.test(input)) {
+    input = `https://${input}`;
+  }
+  try {
+    const parsed = new URL(input);
+    return parsed.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return input.replace(/^https?:\/\//i, '').replace(/^www\./, '').split('/')[0].toLowerCase();
+  }
+}
+
+/**
+ * The category of each stored URL and the categories to list, in order:
+ * those of the classification rules, or for imported results those of
+ * the file, then any other category a URL has (e.g. merged from a
+ * file).  States saved before classification rules existed only know
+ * pages and assets.
+ * @param {Object} state
+ * @returns {{categories: string[], categoryOf: function(string, boolean): string}}
+ */
+function exportCategories(state) {
+  const resultCategories = state.resultCategories || {};
+  const categories = exportCategoryList(state, new Set(Object.values(resultCategories)));
+  return { categories, categoryOf: (url, isPage) => resultCategories[url] || (isPage ? PAGE_CATEGORY : 'assets') };
+}
+
+// The categories exportCategories lists, given those the URLs have in
+// the order they were first used
+function exportCategoryList(state, usedCategories) {
+  const used = Array.from(usedCategories);
+  let categories;
+  if (state.classification) {
+    categories = classificationCategories(state.classification);
+  } else if (state.imported && Array.isArray(state.imported.categories)) {
+    categories = state.imported.categories.slice();
+  } else if (used.some((category) => category !== PAGE_CATEGORY && category !== 'assets')) {
+    categories = [PAGE_CATEGORY];
+  } else {
+    categories = [PAGE_CATEGORY, 'assets'];
+  }
+  used.forEach((category) => {
+    if (!categories.includes(category)) categories.push(category);
+  });
+  return categories;
+}
+
+// Most specific scopes first, so a URL goes to the narrowest domain
+// entry that claims it
+function scopesBySpecificity(state) {
+  const restrictions = (scope) => Number(scope.exact) + scope.paths.length + scope.include.length;
+  return stateScopes(state)
+    .slice()
+    .sort((a, b) => b.domain.length - a.domain.length || restrictions(b) - restrictions(a));
+}
+
+/**
+ * Build the function that decides which domain a stored URL is grouped
+ * under: the narrowest domain entry whose scope claims the URL (or one
+ * of its raw variants), else the URL's own host without `www.`.
+ * @param {Object} state The fetch state; only its domains and scopes
+ *   are used.
+ * @returns {function(string, ?Object): string} Takes the URL and its
+ *   metadata, returns the export key of its domain.
+ */
+function resultDomainMatcher(state) {
+  const domainScopes = scopesBySpecificity(state);
+  return (url, meta) => {
+    const scope = domainScopes.find((candidate) => resultInScope(url, meta, candidate));
+    if (scope) return normaliseDomain(scope.domain);
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || url;
+    } catch (e) {
+      return url;
+    }
+  };
+}
+
+// The export entry of a stored URL; raw variants are only listed when
+// they differ from the stored URL
+function resultEntry(url, resultMeta, statusCheck) {
+  const { variants, ...meta } = resultMeta || {};
+  const entry = { url, ...meta };
+  if (variants && (variants.length > 1 || variants[0] !== url)) entry.variants = variants;
+  if (statusCheck) entry.statusCheck = statusCheck;
+  return entry;
+}
+
+/**
+ * Build the function that gives the fields listed after a domain's
+ * categories in the grouped export: how far the run got on it
+ * (`status`, `errors`) and its sitemap comparison (`sitemap`).
+ * @param {Object} state The fetch state; its results are not used.
+ * @returns {function(string): Object} Takes the export key of a domain.
+ */
+function domainExportDetails(state) {
+  const sitemapReports = {};
+  Object.keys(state.sitemapReport || {}).forEach((domain) => {
+    sitemapReports[normaliseDomain(domain)] = state.sitemapReport[domain];
+  });
+  // How far each domain got, so partial runs are still usable
+  const domainStatuses = {};
+  const domainErrors = {};
+  Object.keys(state.domainSummary || {}).forEach((domain) => {
+    domainStatuses[normaliseDomain(domain)] = state.domainSummary[domain];
+    domainErrors[normaliseDomain(domain)] = (state.domainErrors || {})[domain] || [];
+  });
+  return (domainKey) => {
+    const details = {};
+    if (domainStatuses[domainKey]) {
+      details.status = domainStatuses[domainKey];
+      if (domainErrors[domainKey].length) details.errors = domainErrors[domainKey];
+    }
+    const report = sitemapReports[domainKey];
+    if (report) {
+      const toEntries = (urls) => (Array.isArray(urls) ? urls : []).map((url) => ({ url }));
+      details.sitemap = {
+        sources: report.sources || [],
+        errors: report.errors || [],
+        truncated: Boolean(report.truncated),
+        inSitemapNotIndexed: toEntries(report.inSitemapNotIndexed),
+        indexedNotInSitemap: toEntries(report.indexedNotInSitemap),
+        inBoth: toEntries(report.inBoth)
+      };
+    }
+    return details;
+  };
+}
+
+// Export keys of the domains the run was configured with, listed even
+// when nothing was found for them
+function configuredExportDomains(state) {
+  return Array.from(new Set(scopesBySpecificity(state).map((scope) => normaliseDomain(scope.domain)))).filter(Boolean);
+}
+
+/**
+ * Group the results of a fetch state by domain and category:
+ * `{ domain: { pages, images, documents, ..., status?, errors?, sitemap? } }`
+ * with every category of the run's rule set present.  Entries are
+ * `{ url, ...metadata }` with whatever metadata the search results
+ * provided (title, snippet, sources, ...), when raw URLs were
+ * normalised into `url`, those raw forms as `variants`, and when the
+ * run checked its URLs (status-check.js), the result as `statusCheck`.
+ * @param {Object} state The fetch state.
+ * @returns {Object}
+ */
+function buildGroupedExport(state) {
+  const rawPages = Array.isArray(state.pagesResults) ? state.pagesResults : [];
+  const rawAssets = Array.isArray(state.assetsResults) ? state.assetsResults : [];
+  const resultMeta = state.resultMeta || {};
+  const { categories, categoryOf } = exportCategories(state);
+  const matchDomain = resultDomainMatcher(state);
+  const domainGroups = {};
+  const domainOrder = [];
+  const ensureGroup = (key) => {
+    const label = key || 'unknown';
+    if (!domainGroups[label]) {
+      domainGroups[label] = {};
+      categories.forEach((category) => {
+        domainGroups[label][category] = [];
+      });
+      domainOrder.push(label);
+    }
+    return domainGroups[label];
+  };
+  const toEntry = (url) => resultEntry(url, resultMeta[url], state.urlStatus && state.urlStatus[url]);
+  const addResult = (url, isPage) => {
+    const group = ensureGroup(matchDomain(url, resultMeta[url]));
+    const category = categoryOf(url, isPage);
+    // Categories of a rule set that was edited mid-run go last
+    if (!group[category]) group[category] = [];
+    group[category].push(toEntry(url));
+  };
+  rawPages.forEach((url) => addResult(url, true));
+  rawAssets.forEach((url) => addResult(url, false));
+  // Ensure configured domains appear even if empty
+  configuredExportDomains(state).forEach((domainKey) => ensureGroup(domainKey));
+  const details = domainExportDetails(state);
+  const output = {};
+  domainOrder.forEach((domainKey) => {
+    const group = domainGroups[domainKey];
+    if (Object.values(group).every((entries) => !entries.length) && domainOrder.length === 1) {
+      return;
+    }
+    output[domainKey] = { ...group, ...details(domainKey) };
+  });
+  return output;
+}
+
+/**
+ * Flatten a grouped export into one row per URL, keeping each entry's
+ * metadata alongside.
+ * @param {Object} grouped Result of buildGroupedExport.
+ * @returns {{domain: string, category: string, url: string}[]}
+ */
+function exportRows(grouped) {
+  const rows = [];
+  Object.keys(grouped).forEach((domain) => {
+    Object.keys(grouped[domain])
+      .filter((key) => !RESERVED_CATEGORY_NAMES.includes(key))
+      .forEach((category) => {
+        grouped[domain][category].forEach((entry) => rows.push({ domain, category, ...entry }));
+      });
+  });
+  return rows;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function sitemapLine(url) {
+  return `  <url><loc>${xmlEscape(url)}</loc></url>\n`;
+}
+
+// The sitemap files of one domain from its sitemapLine lines, split
+// every SITEMAP_MAX_URLS URLs
+function domainSitemapFiles(domain, lines) {
+  const files = [];
+  const chunks = Math.ceil(lines.length / SITEMAP_MAX_URLS);
+  for (let i = 0; i < chunks; i++) {
+    files.push({
+      name: `${domain}_sitemap${chunks > 1 ? `-${i + 1}` : ''}`,
+      parts: [
+        '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n',
+        ...lines.slice(i * SITEMAP_MAX_URLS, (i + 1) * SITEMAP_MAX_URLS),
+        '</urlset>\n'
+      ]
+    });
+  }
+  return files;
+}
+
+/**
+ * Build sitemap files from the page URLs of each domain.  A sitemap may
+ * only list URLs of a single site, so every domain gets its own files,
+ * split every SITEMAP_MAX_URLS URLs.
+ * @param {Object} grouped
+ * @returns {{name: string, content: string}[]}
+ */
+function buildSitemapFiles(grouped) {
+  const files = [];
+  Object.keys(grouped).forEach((domain) => {
+    const lines = (grouped[domain][PAGE_CATEGORY] || []).map((entry) => sitemapLine(entry.url));
+    domainSitemapFiles(domain, lines).forEach(({ name, parts }) => files.push({ name, content: parts.join('') }));
+  });
+  return files;
+}
+
+// A format with one line per URL: `header` and the line `row` renders
+// for each of exportRows.  Rows are rendered on their own, so
+// streamExportFiles can write them a page at a time.
+function rowFormat(spec) {
+  return {
+    ...spec,
+    build: (grouped) => [{ content: (spec.header || '') + exportRows(grouped).map(spec.row).join('') }]
+  };
+}
+
+// Formats offered next to the download button.  `build` turns the
+// grouped export (and, where needed, the fetch state itself) into
+// files; a file's optional `name` replaces the domain list at the start
+// of its filename.  Formats built with rowFormat also have `header`
+// and `row`.
+const EXPORT_FORMATS = {
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    build: (grouped) => [{ content: JSON.stringify(grouped, null, 2) }]
+  },
+  csv: rowFormat({
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    header: 'domain,category,url,title,snippet,contextLink,variants,engine,query,status,finalUrl,xRobotsTag,metaRobots,canonical\r\n',
+    row: (row) => {
+      const contextLink = row.image ? row.image.contextLink : '';
+      const variants = (row.variants || []).join(' ');
+      // The query that first found the URL
+      const query = row.sources && row.sources.length ? row.sources[0].query : '';
+      const check = row.statusCheck || {};
+      const cells = [
+        row.domain,
+        row.category,
+        row.url,
+        row.title,
+        row.snippet,
+        contextLink,
+        variants,
+        row.engine,
+        query,
+        check.error ? 'error' : check.redirectNotFollowed ? 'redirect' : check.status,
+        check.finalUrl,
+        check.xRobotsTag,
+        check.metaRobots,
+        check.canonical
+      ];
+      return `${cells.map(csvCell).join(',')}\r\n`;
+    }
+  }),
+  txt: rowFormat({
+    label: 'TXT',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    row: (row) => `${row.url}\n`
+  }),
+  sitemap: {
+    label: 'Sitemap XML',
+    extension: 'xml',
+    mimeType: 'application/xml',
+    build: buildSitemapFiles
+  },
+  ndjson: rowFormat({
+    label: 'NDJSON',
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson',
+    row: (row) => `${JSON.stringify(row)}\n`
+  }),
+  log: {
+    label: 'Request log (CSV)',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    build: (grouped, state) => {
+      const lines = ['time,key,searchType,query,params,page,outcome'];
+      (state.requestLog || []).forEach((entry) => {
+        const time = new Date(entry.at).toISOString();
+        const params = new URLSearchParams(entry.params || {}).toString();
+        const cells = [time, entry.key, entry.searchType, entry.query, params, entry.page, entry.outcome];
+        lines.push(cells.map(csvCell).join(','));
+      });
+      return [{ name: 'request_log', content: `${lines.join('\r\n')}\r\n` }];
+    }
+  }
+};
+
+/**
+ * A copy of a fetch state that only holds some of its URLs, e.g. the
+ * ones left after filtering in the explorer.  The run's sitemap report
+ * and request log describe the whole run and are left out.
+ * @param {Object} state The fetch state.
+ * @param {Iterable<string>} urls
+ * @returns {Object}
+ */
+function subsetState(state, urls) {
+  const keep = new Set(urls);
+  const { sitemapReport, requestLog, ...rest } = state;
+  return {
+    ...rest,
+    pagesResults: (state.pagesResults || []).filter((url) => keep.has(url)),
+    assetsResults: (state.assetsResults || []).filter((url) => keep.has(url))
+  };
+}
+
+// Build the filenames of a format's files:
+// <domains or file name>_<timestamp>.<ext>
+function exportFileNamer(state, spec) {
+  const domains = Array.isArray(state.domains) && state.domains.length > 0 ? state.domains : ['domain'];
+  const namePart = domains
+    .map((d) => d.replace(/[^a-zA-Z0-9]/g, '_'))
+    .join('_')
+    .slice(0, 50); // limit length
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return (file) => {
+    const base = file.name ? file.name.replace(/[^a-zA-Z0-9-]/g, '_') : namePart || 'index';
+    return `${base}_${timestamp}.${spec.extension}`;
+  };
+}
+
+/**
+ * Render a fetch state in one of EXPORT_FORMATS.
+ * @param {Object} state The fetch state.
+ * @param {string} format Key of EXPORT_FORMATS.
+ * @returns {{filename: string, mimeType: string, content: string}[]}
+ */
+function buildExportFiles(state, format) {
+  const spec = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const filename = exportFileNamer(state, spec);
+  return spec.build(buildGroupedExport(state), state).map((file) => ({
+    filename: filename(file),
+    mimeType: spec.mimeType,
+    content: file.content
+  }));
+}
+
+// JSON.stringify(value, null, 2) for a value nested `depth` levels deep
+function indentedJson(value, depth) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${'  '.repeat(depth)}`);
+}
+
+/**
+ * Render a run in one of EXPORT_FORMATS while reading its results a
+ * page at a time (readResultPage in result-store.js): every record is
+ * rendered as it is read, so only the text of the files is held, never
+ * the run's results.  The files match what buildExportFiles makes of
+ * the whole state.
+ * @param {Object} state The run's progress state, with its request log
+ *   and sitemap report but without its results.
+ * @param {string} format Key of EXPORT_FORMATS.
+ * @param {function(number): Promise<{records: Object[], next: ?number}>} readPage
+ *   Reads the page of result records after a `next` (-1 for the first).
+ * @returns {Promise<{filename: string, mimeType: string, parts: string[]}[]>}
+ *   `parts` make up the file's content, e.g. for a Blob.
+ */
+async function streamExportFiles(state, format, readPage) {
+  const key = EXPORT_FORMATS[format] ? format : 'json';
+  const spec = EXPORT_FORMATS[key];
+  const filename = exportFileNamer(state, spec);
+  const toFile = (file) => ({
+    filename: filename(file),
+    mimeType: spec.mimeType,
+    parts: file.parts || [file.content]
+  });
+  // The request log is all the log format needs
+  if (key === 'log') return spec.build({}, state).map(toFile);
+  const render = {
+    json: (domain, category, entry) => indentedJson(entry, 3),
+    sitemap: (domain, category, entry) => (category === PAGE_CATEGORY ? sitemapLine(entry.url) : null)
+  }[key] || ((domain, category, entry) => spec.row({ domain, category, ...entry }));
+  // Rendered entries by domain and category, pages ahead of assets as
+  // buildGroupedExport lists them
+  const pages = new Map();
+  const assets = new Map();
+  const used = new Set();
+  let after = -1;
+  while (after !== null) {
+    const page = await readPage(after);
+    page.records.forEach((record) => {
+      const domain = record.domain || 'unknown';
+      const rendered = render(domain, record.category, resultEntry(record.url, record.meta, record.status));
+      used.add(record.category);
+      if (rendered === null) return;
+      const groups = record.page ? pages : assets;
+      if (!groups.has(domain)) groups.set(domain, new Map());
+      const group = groups.get(domain);
+      if (!group.has(record.category)) group.set(record.category, []);
+      group.get(record.category).push(rendered);
+    });
+    after = page.next;
+  }
+  const categories = exportCategoryList(state, used);
+  const domains = Array.from(new Set([...pages.keys(), ...assets.keys(), ...configuredExportDomains(state)]));
+  const entriesOf = (domain, category) =>
+    [pages, assets].flatMap((groups) => (groups.has(domain) && groups.get(domain).get(category)) || []);
+  if (key === 'sitemap') {
+    return domains.flatMap((domain) => domainSitemapFiles(domain, entriesOf(domain, PAGE_CATEGORY))).map(toFile);
+  }
+  const parts = [];
+  const pushEntries = (entries, separator) => entries.forEach((entry, i) => parts.push(i ? `${separator}${entry}` : entry));
+  if (key !== 'json') {
+    parts.push(spec.header || '');
+    domains.forEach((domain) => categories.forEach((category) => pushEntries(entriesOf(domain, category), '')));
+    return [toFile({ parts })];
+  }
+  // The grouped export, written out the way JSON.stringify(grouped,
+  // null, 2) does
+  const details = domainExportDetails(state);
+  const shown = domains.length === 1 && !pages.size && !assets.size ? [] : domains;
+  parts.push(shown.length ? '{' : '{}');
+  shown.forEach((domain, d) => {
+    parts.push(`${d ? ',' : ''}\n  ${JSON.stringify(domain)}: {`);
+    categories.forEach((category, c) => {
+      const entries = entriesOf(domain, category);
+      parts.push(`${c ? ',' : ''}\n    ${JSON.stringify(category)}: ${entries.length ? '[\n      ' : '[]'}`);
+      if (!entries.length) return;
+      pushEntries(entries, ',\n      ');
+      parts.push('\n    ]');
+    });
+    Object.entries(details(domain)).forEach(([name, value]) => {
+      parts.push(`,\n    ${JSON.stringify(name)}: ${indentedJson(value, 2)}`);
+    });
+    parts.push('\n  }');
+  });
+  if (shown.length) parts.push('\n}');
+  return [toFile({ parts })];
+}
@@ -0,0 +1,1184 @@
+// harvest.js
+// The harvest engine: sends the search requests of a run, stores and
+// classifies their results and moves the run's cursor along.  It has no
+// chrome.* dependencies, so the same code runs in the service worker
+// (background.js, loaded with importScripts) and in the command line
+// tool (cli.js, loaded into a Node vm context).  Whatever depends on
+// where it runs goes through the host set with setHarvestHost: the
+// service worker keeps states in chrome.storage and counts queries
+// against the daily budget (quota.js); the command line tool prints
+// progress and spends whatever the keys allow.
+//
+// A run searches with a pool of keys:
+//  - `provider` / `endpoint`: key of SEARCH_PROVIDERS and the base URL
+//    its requests go to (providers.js)
+//  - `keys`: `{ name, apiKey, cseId }`, used in order as each one runs
+//    out, and `index`, the key in use
+//  - `rateLimits`: the settings of the keys' token buckets (rate-limit.js)
+
+// What the engine asks of its host:
+//  - `persist(state)`: the state changed and should be saved or shown
+//  - `resultStored(state, url)`: a URL was stored, or its metadata or
+//    status check changed, since the last `persist`
+//  - `requestLogged(state, entry)`: an entry was added to the request log
+//  - `started(state)`: a run started or resumed with this state object
+//  - `isCurrent(token)`: whether the run holding `token` may carry on
+//  - `reserveQuery(apiKey)`: count a request before it is sent; rejects
+//    with reason `budgetExhausted` to refuse it (see quota.js)
+//  - `markKeyExhausted(apiKey)`: the provider refused a key for today
+//  - `deferUntil(time)`: a run waits for the quota to reset at `time`
+//  - `finished(state)`: a run completed; resolves once it is recorded
+let harvestHost = {
+  persist: () => {},
+  resultStored: () => {},
+  requestLogged: () => {},
+  started: () => {},
+  isCurrent: () => true,
+  reserveQuery: async () => {},
+  markKeyExhausted: async () => {},
+  deferUntil: () => {},
+  finished: async () => {}
+};
+
+/**
+ * Set the host functions the engine calls; missing ones keep their
+ * defaults, which do nothing.
+ * @param {Object} host
+ */
+function setHarvestHost(host) {
+  harvestHost = { ...harvestHost, ...host };
+}
+
+function persistState(state) {
+  harvestHost.persist(state);
+}
+
+// Helper to wait before retrying a request or an attempt
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retries after a rate-limit answer back off on top of the key's token
+// bucket (rate-limit.js), which paces every request
+const MAX_BACKOFF_MS = 640;
+const MAX_RETRIES = 6;
+
+const REFERER_BLOCKED_MESSAGE =
+  'Google Custom Search rejected this API key because it is restricted to specific HTTP referrers. Update the key to allow requests without a referrer (e.g. remove HTTP referer restrictions or use an unrestricted key).';
+
+function isRefererBlockedError(err) {
+  if (!err) return false;
+  if (err.reason && typeof err.reason === 'string') {
+    const reason = err.reason.toLowerCase();
+    if (reason.includes('referer') || reason.includes('referrer')) return true;
+  }
+  const msg = String(err.message || '').toLowerCase();
+  return msg.includes('referer') && msg.includes('blocked');
+}
+
+// Generate +/-20% jitter to break up simultaneous calls
+function jitter(ms) {
+  const delta = Math.floor(ms * 0.2);
+  return ms + (Math.random() * 2 * delta - delta);
+}
+
+// Compute exponential backoff delay with a cap.  attempt is
+// 1‑based.  We cap at MAX_BACKOFF_MS.
+function backoffDelay(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, 1000 * Math.pow(2, attempt - 1));
+  return Math.ceil(jitter(base));
+}
+
+// One token bucket per API key, shared by every lane and run that uses
+// the key, so a slow-down after a rate-limit answer holds for all of them
+const keyBuckets = new Map();
+
+/**
+ * The token bucket of a key, created with the pool's rate limits.  A
+ * bucket is replaced when the limits were changed since it was made.
+ * @param {Object} pool The run's key pool.
+ * @param {{apiKey: string}} credentials
+ * @returns {Object}
+ */
+function keyBucket(pool, credentials) {
+  let bucket = keyBuckets.get(credentials.apiKey);
+  if (!bucket || JSON.stringify(bucket.settings) !== JSON.stringify(pool.rateLimits)) {
+    bucket = createTokenBucket(pool.rateLimits);
+    keyBuckets.set(credentials.apiKey, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Switch the pool to its next key after `credentials` ran out, unless
+ * another lane has already switched away from it.
+ * @param {Object} pool
+ * @param {Object} credentials The key that ran out.
+ * @param {Error} err Why it ran out.
+ * @returns {boolean} false when `credentials` is the pool's last key.
+ */
+function rotateKey(pool, credentials, err) {
+  if (pool.keys[pool.index] !== credentials) return true;
+  if (pool.index === pool.keys.length - 1) return false;
+  pool.index++;
+  if (pool.onSwitch) pool.onSwitch(credentials, pool.keys[pool.index], err);
+  return true;
+}
+
+/**
+ * Perform a search request with retry, rate limiting and detection of
+ * quota errors.  This helper wraps `fetchSearchPage` and manages rate
+ * limits.
+ *
+ * - Before each request it takes a token from the key's bucket.
+ * - On success, it speeds the bucket up (never beyond the fastest
+ *   interval set).
+ * - On HTTP 429 or `rateLimitExceeded`, it slows the bucket down and
+ *   retries up to MAX_RETRIES times with exponential backoff.
+ * - Every request is reserved with the host first, and is not sent
+ *   when the host refuses it (`budgetExhausted`, see quota.js).
+ * - On `dailyLimitExceeded` or `budgetExhausted`, it switches to the
+ *   pool's next key and repeats the same request; once every key is
+ *   spent it throws the error with `reason` so that callers can abort
+ *   the harvest.
+ * The pool's `onRequest` hook hears about every request sent and
+ * `onSwitch` about every change of key.
+ * @param {Object} pool The run's key pool.
+ * @param {string} query
+ * @param {number} page
+ * @param {boolean} images
+ * @param {Object} [extraParams] Search parameters (SEARCH_PARAMS in query.js).
+ */
+async function fetchWithBackoff(pool, query, page, images, extraParams = {}) {
+  let lastErr;
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const credentials = pool.keys[pool.index];
+    const report = (outcome) => {
+      if (pool.onRequest) {
+        pool.onRequest({
+          key: credentials.name,
+          query,
+          params: extraParams,
+          page,
+          searchType: images ? 'image' : 'web',
+          outcome
+        });
+      }
+    };
+    try {
+      await harvestHost.reserveQuery(credentials.apiKey);
+    } catch (err) {
+      // Spent budgets rotate like spent quota; the request was not sent
+      if (err.reason !== 'budgetExhausted' || !rotateKey(pool, credentials, err)) throw err;
+      attempt--;
+      continue;
+    }
+    const bucket = keyBucket(pool, credentials);
+    await takeToken(bucket);
+    try {
+      const result = await fetchSearchPage(pool, credentials, query, page, images, extraParams);
+      report('ok');
+      speedUpBucket(bucket);
+      return result;
+    } catch (err) {
+      const message = String(err.message);
+      // Extract reason from error if present
+      let reason = '';
+      if (err && typeof err === 'object') {
+        if (err.reason) reason = err.reason;
+      }
+      report(reason || 'error');
+      if (message.includes('dailyLimitExceeded') || reason === 'dailyLimitExceeded') {
+        const e = new Error(`${searchProvider(pool.provider).label} quota exceeded.`);
+        e.reason = 'dailyLimitExceeded';
+        await harvestHost.markKeyExhausted(credentials.apiKey);
+        // Carry on from the same request with the next key
+        if (!rotateKey(pool, credentials, e)) throw e;
+        attempt--;
+        continue;
+      }
+      if (message.includes('HTTP 429') || message.includes('rateLimitExceeded') || reason === 'rateLimitExceeded') {
+        lastErr = err;
+        slowDownBucket(bucket);
+        // wait exponential backoff with jitter
+        const waitTime = backoffDelay(attempt);
+        await sleep(waitTime);
+        continue;
+      }
+      // other errors propagate
+      throw err;
+    }
+  }
+  // exhausted retries
+  const e = lastErr || new Error('Rate limit exceeded after retries');
+  e.reason = e.reason || 'rateLimitExceeded';
+  throw e;
+}
+
+// Requests kept in `state.requestLog`; older ones are dropped first
+const MAX_REQUEST_LOG_ENTRIES = 5000;
+
+/**
+ * Append a request to the run log.
+ * @param {Object} state
+ * @param {{key: string, query: string, params: Object, page: number, searchType: string, outcome: string}} entry
+ */
+function logRequest(state, entry) {
+  state.requestLog = state.requestLog || [];
+  const logged = { at: Date.now(), ...entry };
+  state.requestLog.push(logged);
+  harvestHost.requestLogged(state, logged);
+  if (state.requestLog.length > MAX_REQUEST_LOG_ENTRIES) {
+    state.requestLog.splice(0, state.requestLog.length - MAX_REQUEST_LOG_ENTRIES);
+  }
+}
+
+/**
+ * Fetch a single page of results from the pool's search provider (see
+ * providers.js).
+ * @param {Object} pool The run's key pool; names the provider and its
+ *   endpoint.
+ * @param {{apiKey: string, cseId: string}} credentials
+ * @param {string} query The search query, e.g. `site:example.com`.
+ * @param {number} page 1‑based page number.
+ * @param {boolean} images Whether to fetch image results instead of web pages.
+ * @param {Object} [extraParams] Search parameters such as `dateRestrict`
+ *   (SEARCH_PARAMS in query.js).
+ * @returns {Promise<{total: number, items: Object[]}>} The result count
+ *   the provider reports and the items, in Custom Search item shape.
+ */
+async function fetchSearchPage(pool, credentials, query, page, images, extraParams = {}) {
+  const provider = searchProvider(pool.provider);
+  const request = provider.buildRequest({
+    endpoint: pool.endpoint,
+    apiKey: credentials.apiKey,
+    cseId: credentials.cseId,
+    query,
+    page,
+    images,
+    params: extraParams
+  });
+  const response = await fetch(request.url, { headers: request.headers });
+  if (!response.ok) {
+    throw await provider.parseError(response);
+  }
+  const data = await response.json();
+  return { total: provider.parseTotal(data, images), items: provider.parseItems(data, images) };
+}
+
+/**
+ * Fetch a page with retry for rate‑limit errors.  If the API
+ * returns HTTP 429, this helper will wait and retry up to three
+ * times before giving up.  Other errors will be propagated
+ * immediately.
+ * @param {string} apiKey
+ * @param {string} cseId
+ * @param {string} domain
+ * @param {number} startIndex
+ * @param {boolean} images
+ * @param {number} retries
+ * @returns {Promise<Object>}
+ */
+
+// Stored URLs of each fetch state, so that de-duplication does not
+// scan the result arrays.  States read back from storage are new
+// objects and get their index rebuilt from the arrays.
+const resultIndexes = new WeakMap();
+
+function resultIndex(state) {
+  let index = resultIndexes.get(state);
+  if (!index) {
+    index = new Set(state.pagesResults.concat(state.assetsResults));
+    resultIndexes.set(state, index);
+  }
+  return index;
+}
+
+/**
+ * Store the normalised form (see normalise.js) of a link into state if
+ * it hasn't been seen before, classified with the run's rule set (see
+ * classify.js).  Pages go into `state.pagesResults`, every other
+ * category into `state.assetsResults`, and the category itself into
+ * `state.resultCategories`.
+ * @param {string} link URL to categorise.
+ * @param {Object} state The fetch state object.
+ * @param {Object} [item] The search result item the link came from.
+ * @returns {?string} The URL as stored, or null if the link does not
+ *   belong to the requested domains.
+ */
+function categoriseAndStore(link, state, item) {
+  // Only accept URLs inside the scope of one of the requested domains
+  // (see scope.js).
+  try {
+    const allowed = stateScopes(state).some((scope) => urlInScope(link, scope));
+    if (!allowed) {
+      return null; // Skip URLs that do not belong to the requested domain(s)
+    }
+    // States saved before normalisation existed keep their raw URLs
+    const url = normaliseUrl(link, state.normalise || {});
+    const index = resultIndex(state);
+    if (index.has(url)) return url;
+    index.add(url);
+    // States saved before classification rules existed use the defaults
+    const category = classifyResult(url, item, state.classification || DEFAULT_CLASSIFICATION);
+    state.resultCategories = state.resultCategories || {};
+    state.resultCategories[url] = category;
+    if (category === PAGE_CATEGORY) {
+      state.pagesResults.push(url);
+    } else {
+      state.assetsResults.push(url);
+    }
+    return url;
+  } catch (e) {
+    // Ignore unparseable URLs (e.g. x-raw-image schemes)
+    return null;
+  }
+}
+
+// Enough to show which queries surfaced a URL without letting URLs
+// found by many deep-harvest slices bloat the state.
+const MAX_SOURCES_PER_URL = 5;
+const MAX_VARIANTS_PER_URL = 20;
+
+/**
+ * Pick the metadata worth keeping from a Custom Search result item:
+ * title, snippet, MIME type and file format, the page's meta tags and
+ * og:image, and for image results the page embedding the image, its
+ * dimensions and thumbnail.
+ * @param {Object} item A search result item.
+ * @returns {Object}
+ */
+function extractItemMetadata(item) {
+  const meta = {};
+  ['title', 'snippet', 'mime', 'fileFormat'].forEach((key) => {
+    if (item[key]) meta[key] = item[key];
+  });
+  const pagemap = item.pagemap || {};
+  const metatags = Array.isArray(pagemap.metatags) ? pagemap.metatags[0] : null;
+  if (metatags) {
+    meta.metatags = metatags;
+    if (metatags['og:image']) meta.ogImage = metatags['og:image'];
+  }
+  const thumbnail = Array.isArray(pagemap.cse_thumbnail) ? pagemap.cse_thumbnail[0] : null;
+  if (thumbnail && thumbnail.src) meta.thumbnail = thumbnail.src;
+  if (item.image) {
+    meta.image = {};
+    ['contextLink', 'width', 'height', 'byteSize', 'thumbnailLink', 'thumbnailWidth', 'thumbnailHeight'].forEach((key) => {
+      if (item.image[key] !== undefined) meta.image[key] = item.image[key];
+    });
+  }
+  return meta;
+}
+
+/**
+ * Store a search result item: categorise its link and keep its metadata
+ * in `state.resultMeta`, keyed by the stored URL, together with the
+ * query and page it came from and the raw links (`variants`) that
+ * normalised to it.  When several results share a URL, the first one's
+ * metadata wins and later ones only fill in gaps.
+ * @param {Object} item A search result item.
+ * @param {Object} state The fetch state object.
+ * @param {{query: string, page: number, searchType: string, params?: Object}} source
+ */
+function storeResultItem(item, state, source) {
+  const url = item && item.link ? categoriseAndStore(item.link, state, item) : null;
+  if (!url) return;
+  state.resultMeta = state.resultMeta || {};
+  const existing = state.resultMeta[url];
+  const meta = existing ? { ...extractItemMetadata(item), ...existing } : extractItemMetadata(item);
+  const sources = existing ? existing.sources : [];
+  const known = sources.some((s) => s.query === source.query && s.page === source.page && s.searchType === source.searchType);
+  if (!known && sources.length < MAX_SOURCES_PER_URL) sources.push(source);
+  meta.sources = sources;
+  const variants = (existing && existing.variants) || [];
+  if (!variants.includes(item.link) && variants.length < MAX_VARIANTS_PER_URL) variants.push(item.link);
+  meta.variants = variants;
+  // Runs from before providers existed all used Google
+  meta.engine = state.provider || DEFAULT_PROVIDER;
+  state.resultMeta[url] = meta;
+  harvestHost.resultStored(state, url);
+}
+
+/**
+ * Describe where a page of results came from, for `storeResultItem`.
+ * @param {Object} slice
+ * @param {number} page
+ * @param {boolean} images
+ * @returns {Object}
+ */
+function resultSource(slice, page, images) {
+  const source = { query: sliceQuery(slice), page, searchType: images ? 'image' : 'web' };
+  const params = sliceParams(slice);
+  if (Object.keys(params).length) source.params = params;
+  return source;
+}
+
+// Deep harvest splits a query with more results than the provider lets
+// one query page through (its `maxResults`, see providers.js) into narrower
+// sub-queries ("slices").  Every slice costs at least one request to
+// probe, so depth and count are bounded per domain and search type.
+const MAX_SLICE_DEPTH = 4;
+const MAX_SLICES_PER_QUERY = 30;
+const SLICE_FILETYPES = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'xml'];
+const SLICE_IMAGE_FILETYPES = ['jpg', 'png', 'gif', 'webp', 'svg', 'bmp'];
+const SLICE_DATE_WINDOWS = ['d7', 'm1', 'm6', 'y1'];
+
+/**
+ * Worst-case number of queries a harvest can spend: every page of web
+ * and image results for each domain, and with deep harvest every page
+ * of every slice.
+ * @param {number} domainCount
+ * @param {boolean} deepHarvest
+ * @param {string} provider Key of SEARCH_PROVIDERS.
+ * @returns {number}
+ */
+function estimateHarvestCost(domainCount, deepHarvest, provider) {
+  const perDomain = providerPagesPerQuery(provider, false) + providerPagesPerQuery(provider, true);
+  return domainCount * perDomain * (deepHarvest ? MAX_SLICES_PER_QUERY : 1);
+}
+
+/**
+ * Map an error to the failure that should abort the whole harvest, or
+ * null if the error only affects the request that raised it.
+ * @param {Error} err
+ * @returns {{message: string, reason: string, recoverable: boolean, deferUntil?: number}|null}
+ *   `deferUntil` is set when the run should wait for the quota reset
+ *   instead of stopping.
+ */
+function fatalFailure(err) {
+  if (err && err.reason === 'budgetExhausted') {
+    const resetTime = new Date(err.resetAt).toLocaleString();
+    return {
+      message: err.defer
+        ? `${err.message} Paused until the quota resets (${resetTime}).`
+        : `Stopped: ${err.message} Raise the budget or run again after the quota resets (${resetTime}).`,
+      reason: 'budgetExhausted',
+      recoverable: false,
+      deferUntil: err.defer ? err.resetAt : null
+    };
+  }
+  if (err && err.reason === 'dailyLimitExceeded') {
+    return {
+      message: `Stopped: ${err.message} Please retry after reset.`,
+      reason: 'dailyLimitExceeded',
+      recoverable: false
+    };
+  }
+  if (err && (err.reason === 'rateLimitExceeded' || String(err.message).toLowerCase().includes('rate limit'))) {
+    return { message: 'Rate limit exceeded. Please try again later.', reason: 'rateLimitExceeded', recoverable: true };
+  }
+  if (isRefererBlockedError(err)) {
+    return { message: REFERER_BLOCKED_MESSAGE, reason: 'httpRefererRestricted', recoverable: false };
+  }
+  return null;
+}
+
+/**
+ * Build the query string for a slice.  A slice is `site:<scope>`
+ * optionally narrowed by a filetype, the run's and the domain's search
+ * terms and a list of exclusion operators (`-inurl:`, `-site:`,
+ * `-filetype:`).
+ * @param {Object} slice
+ * @returns {string}
+ */
+function sliceQuery(slice) {
+  const parts = [`site:${slice.scope}`];
+  if (slice.filetype) parts.push(`filetype:${slice.filetype}`);
+  return parts.concat(slice.terms || [], slice.exclude || []).join(' ');
+}
+
+/**
+ * The first slice searched for a domain.  A scope limited to a single
+ * path prefix is searched as `site:<domain>/<path>`, and excluded hosts
+ * without wildcards are left out of the query, so that quota is not
+ * spent on results the scope would drop anyway.  The run's search
+ * terms and parameters (query.js) apply to every slice below it.
+ * @param {Object} scope See scope.js.
+ * @param {{terms: string[], params: Object}} [search]
+ * @returns {Object}
+ */
+function rootSlice(scope, search = { terms: [], params: {} }) {
+  const slice = { scope: scope.paths.length === 1 ? `${scope.domain}${scope.paths[0]}` : scope.domain, depth: 0 };
+  const terms = search.terms.concat(scope.terms || []);
+  if (terms.length) slice.terms = terms;
+  const exclude = scope.exclude.filter((pattern) => !pattern.includes('*')).map((host) => `-site:${host}`);
+  if (exclude.length) slice.exclude = exclude;
+  const { dateRestrict, ...params } = search.params;
+  if (dateRestrict) slice.dateRestrict = dateRestrict;
+  if (Object.keys(params).length) slice.params = params;
+  return slice;
+}
+
+/**
+ * The search parameters sent with a slice's requests.  `dateRestrict`
+ * is kept apart because deep harvest splits by it.
+ * @param {Object} slice
+ * @returns {Object}
+ */
+function sliceParams(slice) {
+  const params = { ...slice.params };
+  if (slice.dateRestrict) params.dateRestrict = slice.dateRestrict;
+  return params;
+}
+
+/**
+ * Find narrower scopes one level below a slice, based on the results of
+ * its first page.  Other subdomains become `site:<host>` scopes and
+ * directories on the slice's own host become `site:<host>/<path>`
+ * scopes.  Each entry also carries the operator that excludes it from
+ * the remainder slice.
+ * @param {Object} slice
+ * @param {Object[]} items Search result items.
+ * @returns {{scope: string, exclusion: string}[]}
+ */
+function collectSubScopes(slice, items) {
+  const [scopeHost, ...scopeSegments] = slice.scope.toLowerCase().split('/').filter(Boolean);
+  const excluded = new Set(slice.exclude || []);
+  const found = new Map();
+  items.forEach((item) => {
+    let urlObj;
+    try {
+      urlObj = new URL(item.link);
+    } catch (e) {
+      return;
+    }
+    const host = urlObj.hostname.toLowerCase();
+    const sameHost = host === scopeHost || host === `www.${scopeHost}`;
+    if (!sameHost) {
+      // Only split out subdomains from a bare host scope.
+      if (scopeSegments.length || !host.endsWith(`.${scopeHost}`)) return;
+      const exclusion = `-site:${host}`;
+      if (!excluded.has(exclusion)) found.set(exclusion, { scope: host, exclusion });
+      return;
+    }
+    const segments = urlObj.pathname.toLowerCase().split('/').filter(Boolean);
+    const isWithinScope = scopeSegments.every((seg, i) => segments[i] === seg);
+    // Require a deeper segment so that single pages are not turned
+    // into slices of their own.
+    if (!isWithinScope || segments.length < scopeSegments.length + 2) return;
+    const path = segments.slice(0, scopeSegments.length + 1).join('/');
+    // `inurl:` matches the text anywhere in the URL, not just this
+    // prefix: `-inurl:blog` also drops `/products/blog-stand` from the
+    // remainder, and the `site:<host>/blog` slice does not find it
+    // either.  Search operators cannot exclude a path prefix only.
+    const exclusion = `-inurl:${path}`;
+    if (!excluded.has(exclusion)) found.set(exclusion, { scope: `${scopeHost}/${path}`, exclusion });
+  });
+  return Array.from(found.values());
+}
+
+/**
+ * Split a slice whose result count exceeds the provider's cap into narrower
+ * slices.  Strategies are tried in order: path prefixes and subdomains
+ * seen on page 1 (plus a remainder excluding them), `filetype:`
+ * variants (plus a remainder excluding them), and finally
+ * `dateRestrict` windows.  Returns an empty array when the slice cannot
+ * be split any further.
+ * @param {Object} slice
+ * @param {Object[]} items First page result items.
+ * @param {boolean} images
+ * @returns {Object[]}
+ */
+function splitSlice(slice, items, images) {
+  const depth = slice.depth + 1;
+  const exclude = slice.exclude || [];
+  const subScopes = collectSubScopes(slice, items);
+  if (subScopes.length) {
+    const children = subScopes.map(({ scope }) => ({
+      ...slice,
+      scope,
+      exclude: exclude.filter((op) => op.startsWith('-filetype:')),
+      depth
+    }));
+    children.push({ ...slice, exclude: exclude.concat(subScopes.map((s) => s.exclusion)), depth });
+    return children;
+  }
+  // A filetype in the search terms already narrows every slice
+  const hasFiletypeSplit =
+    slice.filetype ||
+    exclude.some((op) => op.startsWith('-filetype:')) ||
+    (slice.terms || []).some((term) => /^(filetype|ext):/i.test(term));
+  if (!hasFiletypeSplit) {
+    const filetypes = images ? SLICE_IMAGE_FILETYPES : SLICE_FILETYPES;
+    const children = filetypes.map((filetype) => ({ ...slice, filetype, depth }));
+    children.push({ ...slice, exclude: exclude.concat(filetypes.map((ft) => `-filetype:${ft}`)), depth });
+    return children;
+  }
+  if (!slice.dateRestrict) {
+    // Windows overlap and cannot cover results older than the widest
+    // one; this is a last resort for slices nothing else can narrow.
+    return SLICE_DATE_WINDOWS.map((dateRestrict) => ({ ...slice, dateRestrict, depth }));
+  }
+  return [];
+}
+
+// Lanes of a run harvested at the same time.  How fast their requests
+// go out is up to the key's token bucket, not the number of lanes.
+const MAX_PARALLEL_LANES = 4;
+
+/**
+ * Create the lane of a domain and search type.  Lanes are harvested
+ * side by side (see harvestLanes); each one works through its own
+ * queries in order:
+ *  - `stage`: 'plan' while probing page 1 of its queries, 'pages' while
+ *    paging through them, then 'done'
+ *  - `queue` / `probed`: slices still to probe, and how many were
+ *    probed already; `queue` is null until the lane has started
+ *  - `tasks`: the queries to page through, `{ slice, pages }`
+ *  - `taskIndex` / `nextPage`: the task and page to fetch next (the
+ *    provider maps page numbers to offsets)
+ * @param {number} domainIndex
+ * @param {boolean} images
+ * @returns {Object}
+ */
+function createLane(domainIndex, images) {
+  return { domainIndex, images, stage: 'plan', queue: null, probed: 0, tasks: [], taskIndex: 0, nextPage: 2 };
+}
+
+/**
+ * Create the cursor that records how far a harvest has got.  It is
+ * persisted with the rest of the fetch state so that a run can pick up
+ * on the exact request it stopped at if the service worker is shut
+ * down.
+ *  - `lanes`: web and then image results of every domain, in domain
+ *    order (see createLane)
+ *  - `sitemapIndex`: the next domain whose sitemaps should be read
+ *  - `statusIndex`: the next collected URL to check, and `statusTotal`
+ *    the number of URLs to check once counted (see checkResultStatuses)
+ * @param {number} domainCount
+ * @returns {Object}
+ */
+function createCursor(domainCount) {
+  const lanes = [];
+  for (let index = 0; index < domainCount; index++) lanes.push(createLane(index, false), createLane(index, true));
+  return { lanes, sitemapIndex: 0, statusIndex: 0 };
+}
+
+/**
+ * Convert the cursor of a state saved before lanes existed, when runs
+ * planned every domain first and then paged through one global task
+ * list.  Tasks go to the lane of their domain and search type, and
+ * each lane carries on from where that list stopped.
+ * @param {Object} state
+ */
+function upgradeCursor(state) {
+  const old = state.cursor;
+  if (!old || old.lanes) return;
+  const cursor = createCursor(state.domains.length);
+  const tasks = state.tasks || [];
+  const planning = old.domainIndex * 2 + Number(old.images);
+  cursor.lanes.forEach((lane, laneIndex) => {
+    const own = [];
+    tasks.forEach((task, taskIndex) => {
+      if (task.domain === state.domains[lane.domainIndex] && task.images === lane.images) own.push(taskIndex);
+    });
+    lane.tasks = own.map((taskIndex) => ({ slice: tasks[taskIndex].slice, pages: tasks[taskIndex].pages }));
+    if (old.stage === 'plan') {
+      if (laneIndex < planning) lane.stage = 'pages';
+      if (laneIndex === planning) {
+        lane.queue = old.queue;
+        lane.probed = old.probed;
+      }
+      return;
+    }
+    lane.taskIndex = own.filter((taskIndex) => taskIndex < old.taskIndex).length;
+    if (own.includes(old.taskIndex)) lane.nextPage = old.nextPage;
+    lane.stage = lane.taskIndex < lane.tasks.length ? 'pages' : 'done';
+  });
+  cursor.sitemapIndex = old.sitemapIndex || 0;
+  cursor.statusIndex = old.statusIndex || 0;
+  if (old.statusTotal !== undefined) cursor.statusTotal = old.statusTotal;
+  // The sitemap steps used to be counted once planning was over
+  if (old.stage === 'plan' && state.compareSitemaps) state.totalSteps += state.domains.length;
+  state.cursor = cursor;
+  delete state.tasks;
+}
+
+/**
+ * Remember a request that failed for a domain without stopping the run,
+ * so the domain can be reported as only partially harvested.
+ * @param {Object} state
+ * @param {string} domain
+ * @param {string} message
+ */
+function recordDomainError(state, domain, message) {
+  state.domainErrors = state.domainErrors || {};
+  (state.domainErrors[domain] = state.domainErrors[domain] || []).push(message);
+}
+
+/**
+ * Work out from the cursor how far each domain got: 'done' when all of
+ * its requests were made without errors, 'partial' when some of them
+ * failed or the run stopped partway through it, and 'skipped' when the
+ * run stopped before reaching it.
+ * @param {Object} state
+ * @returns {Object<string, string>} Status keyed by domain.
+ */
+function summariseDomains(state) {
+  upgradeCursor(state);
+  const summary = {};
+  state.domains.forEach((domain, index) => {
+    const errors = (state.domainErrors && state.domainErrors[domain]) || [];
+    const lanes = state.cursor.lanes.filter((lane) => lane.domainIndex === index);
+    const reached = lanes.some((lane) => lane.stage !== 'plan' || lane.probed > 0);
+    const finished = lanes.every((lane) => lane.stage === 'done');
+    if (!reached) {
+      summary[domain] = 'skipped';
+    } else {
+      summary[domain] = finished && errors.length === 0 ? 'done' : 'partial';
+    }
+  });
+  return summary;
+}
+
+/**
+ * Format a domain summary for status text, e.g. "2 done, 1 skipped".
+ * @param {Object<string, string>} summary
+ * @returns {string}
+ */
+function describeDomainSummary(summary) {
+  const counts = {};
+  Object.values(summary).forEach((status) => {
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return ['done', 'partial', 'skipped']
+    .filter((status) => counts[status])
+    .map((status) => `${counts[status]} ${status}`)
+    .join(', ');
+}
+
+/**
+ * Fetch page 1 for the domain and search type of a lane and work out
+ * which queries must be paged through, appending them to the lane's
+ * `tasks`.  Without deep harvest this is the plain `site:` query
+ * capped at the pages the provider allows per query.  With deep
+ * harvest, queries over the provider's result cap are split recursively
+ * until every slice fits under the cap (or the slice limits are
+ * reached).  Pending slices live on the
+ * lane, so an interrupted plan resumes with the slice it stopped at.
+ * @param {Object} pool The run's key pool.
+ * @param {Object} state
+ * @param {Object} lane See createLane.
+ * @param {function(): ?Object} halt Checked before every request; a
+ *   non-null result stops planning and is returned.
+ * @returns {Promise<?Object>} null once planning for the lane is
+ *   complete.
+ */
+async function planDomainQueries(pool, state, lane, halt) {
+  const domain = state.domains[lane.domainIndex];
+  const { images } = lane;
+  const label = images ? 'images' : 'pages';
+  const { pageSize, maxResults } = searchProvider(pool.provider).limits(images);
+  if (!lane.queue) {
+    lane.queue = [rootSlice(stateScopes(state)[lane.domainIndex], state.search)];
+    lane.probed = 0;
+  }
+  while (lane.queue.length) {
+    const stopped = halt();
+    if (stopped) return stopped;
+    const slice = lane.queue[0];
+    const query = sliceQuery(slice);
+    let firstPage;
+    try {
+      firstPage = await fetchWithBackoff(pool, query, 1, images, sliceParams(slice));
+    } catch (err) {
+      // Failures on the root query abort the run; a failing sub-query
+      // only loses its own slice.
+      if (slice.depth === 0 || fatalFailure(err)) throw err;
+      lane.queue.shift();
+      state.status = `Error on ${domain} ${label} slice "${query}": ${err.message}`;
+      recordDomainError(state, domain, state.status);
+      persistState(state);
+      continue;
+    }
+    lane.queue.shift();
+    lane.probed++;
+    const { items } = firstPage;
+    items.forEach((item) => storeResultItem(item, state, resultSource(slice, 1, images)));
+    const totalNum = firstPage.total;
+    state.completedSteps++;
+    state.attemptLabel = '';
+    state.attemptError = '';
+    if (state.deepHarvest && totalNum > maxResults && slice.depth < MAX_SLICE_DEPTH) {
+      const children = splitSlice(slice, items, images);
+      if (children.length && lane.probed + lane.queue.length + children.length <= MAX_SLICES_PER_QUERY) {
+        lane.queue.push(...children);
+        // The probe of a split slice is a step of its own.
+        state.totalSteps++;
+        state.status = `Splitting ${domain} ${label} into ${children.length} sub-queries (${totalNum} results)`;
+        persistState(state);
+        continue;
+      }
+    }
+    let pages = totalNum > 0 ? Math.ceil(totalNum / pageSize) : 1;
+    // Providers cap the results a query can page through
+    pages = Math.min(Math.ceil(maxResults / pageSize), pages);
+    // We start from page 2 later because page 1 is already fetched
+    lane.tasks.push({ slice, pages });
+    state.totalSteps += pages;
+    state.status = slice.depth === 0
+      ? `Fetched ${domain} ${images ? 'images ' : ''}page 1 of ${pages}`
+      : `Fetched ${domain} ${label} "${query}" page 1 of ${pages}`;
+    persistState(state);
+  }
+  lane.queue = [];
+  return null;
+}
+
+/**
+ * Harvest a lane: plan its queries, then fetch the remaining pages of
+ * each one.  A failed page is recorded for the domain and skipped.
+ * @param {Object} pool The run's key pool.
+ * @param {Object} state
+ * @param {Object} lane See createLane.
+ * @param {function(): ?Object} halt Checked before every request.
+ * @returns {Promise<?Object>} The halt result if stopped early, else null.
+ * @throws {Error} When the lane's root query fails, or on failures that
+ *   end the whole run (fatalFailure).
+ */
+async function harvestLane(pool, state, lane, halt) {
+  const domain = state.domains[lane.domainIndex];
+  if (lane.stage === 'plan') {
+    const stopped = await planDomainQueries(pool, state, lane, halt);
+    if (stopped) return stopped;
+    lane.stage = 'pages';
+    persistState(state);
+  }
+  while (lane.taskIndex < lane.tasks.length) {
+    const { slice, pages } = lane.tasks[lane.taskIndex];
+    const { images } = lane;
+    const query = sliceQuery(slice);
+    const label = `${domain} ${images ? 'images' : 'pages'}${slice.depth ? ` "${query}"` : ''}`;
+    while (lane.nextPage <= pages) {
+      const stopped = halt();
+      if (stopped) return stopped;
+      const pageNum = lane.nextPage;
+      state.status = `Fetching ${label} (${pageNum}/${pages})`;
+      persistState(state);
+      try {
+        const data = await fetchWithBackoff(pool, query, pageNum, images, sliceParams(slice));
+        data.items.forEach((item) => storeResultItem(item, state, resultSource(slice, pageNum, images)));
+        state.attemptLabel = '';
+      } catch (err) {
+        // Quota and rate limits end the run, see startHarvest
+        if (fatalFailure(err)) throw err;
+        state.status = `Error on ${domain} ${images ? 'image page' : 'page'} ${pageNum}: ${err.message}`;
+        recordDomainError(state, domain, state.status);
+        persistState(state);
+      }
+      lane.nextPage++;
+      state.completedSteps++;
+      persistState(state);
+    }
+    lane.taskIndex++;
+    lane.nextPage = 2;
+    persistState(state);
+  }
+  lane.stage = 'done';
+  persistState(state);
+  return null;
+}
+
+/**
+ * Harvest the unfinished lanes of a run, MAX_PARALLEL_LANES at a time.
+ * When a lane fails, the others stop at their next request.  Lanes
+ * stopped by a pause return without starting new lanes; if the run was
+ * resumed before they all returned, harvesting simply goes on.
+ * @param {Object} pool The run's key pool.
+ * @param {Object} state
+ * @param {function(): ?Object} halt Checked before every request.
+ * @returns {Promise<?Object>} null once every lane is done, the halt
+ *   result if stopped early, or `{ error, lane }` for a failed lane.
+ */
+async function harvestLanes(pool, state, halt) {
+  let failure = null;
+  const laneHalt = () => failure || halt();
+  for (;;) {
+    const pending = state.cursor.lanes.filter((lane) => lane.stage !== 'done');
+    if (!pending.length) return null;
+    let next = 0;
+    let stopped = null;
+    const worker = async () => {
+      while (next < pending.length && !stopped && !failure) {
+        const lane = pending[next++];
+        try {
+          const result = await harvestLane(pool, state, lane, laneHalt);
+          if (result && !stopped) stopped = result;
+        } catch (err) {
+          if (!failure) failure = { error: err, lane };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_LANES, pending.length) }, worker));
+    if (failure) return failure;
+    if (stopped && (stopped.abandoned || halt())) return stopped;
+  }
+}
+
+/**
+ * Start a new harvesting operation.  If a previous operation is in
+ * progress, it will be abandoned in favour of the new one.  This
+ * function harvests the domains side by side (see harvestLanes) and
+ * updates progress as it goes.  It makes two types of requests per
+ * domain: web page results and image results.  Each request counts as
+ * a step towards the total progress.
+ * @param {Object} pool The run's key pool.
+ * @param {string[]} domains A list of domain entries to fetch, each a
+ *   domain optionally followed by scope rules (see scope.js).
+ * @param {Object} [context] Attempt bookkeeping and run options
+ *   (`deepHarvest` enables query slicing beyond 100 results,
+ *   `compareSitemaps` adds a sitemap comparison after harvesting,
+ *   `checkStatus` requests every collected URL at the end,
+ *   `resumeState` continues a persisted state from its cursor,
+ *   `retry` marks that as a new attempt after a failed one,
+ *   `normalise` holds the URL normalisation options (normalise.js),
+ *   `search` the extra search terms and parameters (query.js),
+ *   `classification` the rule set of new runs (classify.js; defaults
+ *   to DEFAULT_CLASSIFICATION), `token` identifies the run to the
+ *   host's `isCurrent` and `scheduleId` names the schedule that started
+ *   the run).
+ */
+async function startHarvest(pool, domains, context = {}) {
+  const attempt = context.attempt || 1;
+  const maxAttempts = context.maxAttempts || 1;
+  const token = context.token ?? 0;
+
+  let state = context.resumeState;
+  if (state) {
+    // Continue a paused, failed or orphaned run from its cursor,
+    // keeping the URLs it already collected
+    const collected = state.pagesResults.length + state.assetsResults.length;
+    state.running = true;
+    state.attempt = attempt;
+    state.maxAttempts = maxAttempts;
+    state.attemptLabel = context.retry
+      ? `Starting attempt ${attempt} ... (continuing with ${collected} URLs)`
+      : `Resuming attempt ${attempt} ...`;
+    state.attemptError = '';
+    state.retryScheduled = false;
+    state.paused = false;
+    state.fetchToken = token;
+    upgradeCursor(state);
+  } else {
+    // Initialise new state for this attempt
+    const scopes = domains.map(parseDomainScope);
+    state = {
+      running: true,
+      domains: scopes.map((scope) => scope.domain),
+      scopes,
+      provider: pool.provider,
+      search: searchOptions(context.search, pool.provider),
+      normalise: normalisationOptions(context.normalise),
+      classification: context.classification || DEFAULT_CLASSIFICATION,
+      deepHarvest: Boolean(context.deepHarvest),
+      compareSitemaps: Boolean(context.compareSitemaps),
+      checkStatus: Boolean(context.checkStatus),
+      pagesResults: [],
+      assetsResults: [],
+      resultCategories: {},
+      resultMeta: {},
+      requestLog: [],
+      cursor: createCursor(scopes.length),
+      domainErrors: {},
+      domainSummary: null,
+      // One step per domain for reading its sitemaps
+      totalSteps: context.compareSitemaps ? scopes.length : 0,
+      completedSteps: 0,
+      status: '',
+      startedAt: Date.now(),
+      attempt,
+      maxAttempts,
+      attemptLabel: `Starting attempt ${attempt} ...`,
+      attemptError: '',
+      retryScheduled: false,
+      paused: false,
+      resumeCount: 0,
+      scheduleId: context.scheduleId || null,
+      fetchToken: token
+    };
+  }
+  harvestHost.started(state);
+  persistState(state);
+  pool.onRequest = (entry) => logRequest(state, entry);
+  pool.onSwitch = (from, to, err) => {
+    state.status = `${from.name}: ${err.message} Continuing with ${to.name}.`;
+    persistState(state);
+  };
+
+  const fail = (message, reason, recoverable = true) => {
+    state.running = false;
+    state.attemptLabel = '';
+    state.attemptError = message;
+    state.retryScheduled = false;
+    state.domainSummary = summariseDomains(state);
+    state.status = `${message} Kept ${state.pagesResults.length + state.assetsResults.length} URLs (${describeDomainSummary(state.domainSummary)}).`;
+    state.fetchToken = token;
+    persistState(state);
+    return { success: false, message, reason, recoverable };
+  };
+
+  // Fatal errors end the attempt, except a spent query budget that the
+  // user chose to wait out: that pauses the run until the quota resets
+  const stopOn = (fatal) => {
+    if (!fatal.deferUntil) return fail(fatal.message, fatal.reason, fatal.recoverable);
+    state.paused = true;
+    state.deferredUntil = fatal.deferUntil;
+    state.attemptLabel = '';
+    state.status = fatal.message;
+    persistState(state);
+    harvestHost.deferUntil(fatal.deferUntil);
+    return { success: false, paused: true, deferred: true, message: fatal.message };
+  };
+
+  // Checked between requests: stop when a newer run or a cancel has
+  // taken over, or leave the cursor in place when the run is paused
+  const halt = () => {
+    if (!harvestHost.isCurrent(token)) return { success: false, abandoned: true };
+    if (state.paused) {
+      state.attemptLabel = '';
+      state.status = `Paused after ${state.completedSteps} of ${state.totalSteps} steps.`;
+      persistState(state);
+      return { success: false, paused: true };
+    }
+    return null;
+  };
+
+  // Harvest web and image results of every domain side by side; each
+  // lane plans its queries (slicing them in deep mode) and then pages
+  // through them
+  const outcome = await harvestLanes(pool, state, halt);
+  if (outcome && outcome.error) {
+    const { error, lane } = outcome;
+    const fatal = fatalFailure(error);
+    if (fatal) return stopOn(fatal);
+    const domain = state.domains[lane.domainIndex];
+    return fail(`Error fetching ${domain} ${lane.images ? 'images' : 'pages'}: ${error.message}`, error && error.reason, true);
+  }
+  if (outcome) return outcome;
+  if (state.compareSitemaps) {
+    const stopped = await compareDomainSitemaps(state, halt);
+    if (stopped) return stopped;
+  }
+  if (state.checkStatus) {
+    const stopped = await checkResultStatuses(state, halt);
+    if (stopped) return stopped;
+  }
+  // Mark finished
+  state.running = false;
+  state.attemptLabel = '';
+  state.attemptError = '';
+  state.retryScheduled = false;
+  state.domainSummary = summariseDomains(state);
+  state.status = `Fetched ${state.pagesResults.length + state.assetsResults.length} URLs.`;
+  if (Object.values(state.domainSummary).some((status) => status !== 'done')) {
+    state.status += ` Domains: ${describeDomainSummary(state.domainSummary)}.`;
+  }
+  if (state.sitemapReport) {
+    const reports = Object.values(state.sitemapReport);
+    const notIndexed = reports.reduce((sum, r) => sum + r.inSitemapNotIndexed.length, 0);
+    const notInSitemap = reports.reduce((sum, r) => sum + r.indexedNotInSitemap.length, 0);
+    state.status += ` Sitemaps: ${notIndexed} not indexed, ${notInSitemap} missing from sitemaps.`;
+  }
+  if (state.urlStatus) {
+    state.status += ` ${describeStatusChecks(summariseStatusChecks(state.urlStatus))}.`;
+  }
+  persistState(state);
+  await harvestHost.finished(state);
+  return { success: true };
+}
+
+/**
+ * Read each domain's sitemaps and store the comparison with the
+ * harvested URLs in `state.sitemapReport`, keyed by domain.  Sitemap
+ * failures are recorded in the report and never fail the harvest.
+ * @param {Object} state The fetch state object.
+ * @param {function(): ?Object} halt Checked before each domain.
+ * @returns {Promise<?Object>} The halt result if stopped early, else null.
+ */
+async function compareDomainSitemaps(state, halt) {
+  const { cursor } = state;
+  state.sitemapReport = state.sitemapReport || {};
+  const indexed = state.pagesResults.concat(state.assetsResults);
+  while (cursor.sitemapIndex < state.domains.length) {
+    const stopped = halt();
+    if (stopped) return stopped;
+    const domain = state.domains[cursor.sitemapIndex];
+    const scope = stateScopes(state)[cursor.sitemapIndex];
+    state.status = `Reading sitemaps for ${domain}`;
+    persistState(state);
+    const domainUrls = indexed.filter((url) => resultInScope(url, (state.resultMeta || {})[url], scope));
+    try {
+      state.sitemapReport[domain] = await buildSitemapReport(
+        domain,
+        domainUrls,
+        (sitemapUrl) => {
+          state.status = `Reading sitemaps for ${domain}: ${sitemapUrl}`;
+          persistState(state);
+        },
+        (url) => urlInScope(url, scope)
+      );
+    } catch (err) {
+      state.sitemapReport[domain] = {
+        sources: [],
+        errors: [err.message],
+        truncated: false,
+        sitemapCount: 0,
+        ...compareSitemapUrls([], domainUrls)
+      };
+    }
+    cursor.sitemapIndex++;
+    state.completedSteps++;
+    persistState(state);
+  }
+  return null;
+}
+
+// The link the search engine returned first for a stored URL
+function indexedLink(state, url) {
+  const meta = (state.resultMeta || {})[url];
+  return meta && Array.isArray(meta.variants) && meta.variants.length ? meta.variants[0] : url;
+}
+
+/**
+ * Request every collected URL (status-check.js) and store what each one
+ * returns now in `state.urlStatus`, keyed by URL.  URLs are checked
+ * STATUS_CHECK_CONCURRENCY at a time; the cursor moves on once a whole
+ * batch is done, so an interrupted check repeats at most one batch.
+ * Failed requests are recorded per URL and never fail the harvest.
+ * @param {Object} state The fetch state object.
+ * @param {function(): ?Object} halt Checked before each batch.
+ * @returns {Promise<?Object>} The halt result if stopped early, else null.
+ */
+async function checkResultStatuses(state, halt) {
+  const { cursor } = state;
+  state.urlStatus = state.urlStatus || {};
+  const urls = state.pagesResults.concat(state.assetsResults);
+  // Count the URLs once, even when the run is resumed during the check.
+  // Runs resumed from before the check existed have no index yet.
+  if (cursor.statusTotal === undefined) {
+    cursor.statusTotal = urls.length;
+    cursor.statusIndex = cursor.statusIndex || 0;
+    state.totalSteps += urls.length;
+  }
+  while (cursor.statusIndex < urls.length) {
+    const stopped = halt();
+    if (stopped) return stopped;
+    const batch = urls.slice(cursor.statusIndex, cursor.statusIndex + STATUS_CHECK_CONCURRENCY);
+    // Request the link the engine indexed, not the normalised URL it is
+    // stored under (normalise.js drops `www.` and prefers https), so a
+    // www-only or http-only site is not reported as redirected or broken
+    const targets = batch.map((url) => indexedLink(state, url));
+    const checks = await Promise.all(targets.map((target) => checkUrlStatus(target)));
+    batch.forEach((url, i) => {
+      if (targets[i] !== url) checks[i].checkedUrl = targets[i];
+      state.urlStatus[url] = checks[i];
+      harvestHost.resultStored(state, url);
+    });
+    cursor.statusIndex += batch.length;
+    state.completedSteps += batch.length;
+    const summary = summariseStatusChecks(state.urlStatus);
+    state.status = `Checking URLs (${cursor.statusIndex}/${urls.length}): ${summary.broken} broken, ${summary.redirected} redirected, ${summary.noindex} noindex`;
+    persistState(state);
+  }
+  return null;
+}
@@ -0,0 +1,129 @@
+// history-store.js
+// Keeps completed harvests in chrome.storage.local so that runs can be
+// compared with each other.  Shared by the service worker (which saves
+// runs) and the history page (which lists and diffs them).  The index
+// under HISTORY_INDEX_KEY holds a small summary per run; each run's URL
+// sets live under a key of their own so that listing runs never has to
+// load every URL.  Diffing relies on the grouping in export.js, so
+// each run keeps the categories its URLs were given (classify.js).
+
+const HISTORY_INDEX_KEY = 'harvestHistory';
+const HISTORY_RUN_PREFIX = 'harvestRun:';
+// Oldest runs are dropped beyond this many
+const MAX_HISTORY_RUNS = 30;
+
+function historyRunKey(id) {
+  return `${HISTORY_RUN_PREFIX}${id}`;
+}
+
+/**
+ * List saved runs, newest first.
+ * @returns {Promise<Object[]>} Entries of the form `{ id, startedAt,
+ *   finishedAt, domains, provider, search, pages, assets, total,
+ *   scheduleId, importedFrom }`; `importedFrom` names the file of runs
+ *   read from an export (result-import.js).
+ */
+async function loadHistory() {
+  const data = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  return Array.isArray(data[HISTORY_INDEX_KEY]) ? data[HISTORY_INDEX_KEY] : [];
+}
+
+/**
+ * Load the URL sets of a saved run.
+ * @param {string} id
+ * @returns {Promise<?Object>} `{ id, domains, scopes, pagesResults,
+ *   assetsResults, classification, resultCategories }`
+ */
+async function loadHistoryRun(id) {
+  const key = historyRunKey(id);
+  const data = await chrome.storage.local.get(key);
+  return data[key] || null;
+}
+
+/**
+ * Save a finished fetch state as a new history run.
+ * @param {Object} state
+ * @returns {Promise<Object>} The new index entry.
+ */
+async function saveRunToHistory(state) {
+  const finishedAt = Date.now();
+  const id = `run-${finishedAt}`;
+  const pagesResults = state.pagesResults.slice();
+  const assetsResults = state.assetsResults.slice();
+  const entry = {
+    id,
+    startedAt: state.startedAt,
+    finishedAt,
+    domains: state.domains.slice(),
+    provider: state.provider || DEFAULT_PROVIDER,
+    search: state.search || null,
+    pages: pagesResults.length,
+    assets: assetsResults.length,
+    total: pagesResults.length + assetsResults.length,
+    scheduleId: state.scheduleId || null,
+    importedFrom: state.imported ? state.imported.fileName : null
+  };
+  const history = await loadHistory();
+  history.unshift(entry);
+  const dropped = history.splice(MAX_HISTORY_RUNS);
+  await chrome.storage.local.set({
+    [HISTORY_INDEX_KEY]: history,
+    [historyRunKey(id)]: {
+      id,
+      domains: entry.domains,
+      scopes: stateScopes(state),
+      pagesResults,
+      assetsResults,
+      classification: state.classification || null,
+      resultCategories: state.resultCategories || {}
+    }
+  });
+  if (dropped.length) {
+    await chrome.storage.local.remove(dropped.map((old) => historyRunKey(old.id)));
+  }
+  return entry;
+}
+
+/**
+ * Delete a saved run and its URL sets.
+ * @param {string} id
+ */
+async function deleteHistoryRun(id) {
+  const history = (await loadHistory()).filter((entry) => entry.id !== id);
+  await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: history });
+  await chrome.storage.local.remove(historyRunKey(id));
+}
+
+/**
+ * Compare two saved runs.  URLs are grouped per domain the same way as
+ * in exports, so the counts match what a download of either run shows.
+ * @param {Object} older A run as returned by loadHistoryRun.
+ * @param {Object} newer
+ * @returns {{from: string, to: string, added: Object[], removed: Object[], domains: Object}}
+ *   `added` and `removed` hold `{ domain, category, url }` rows and `domains`
+ *   maps each domain to `{ before, after, delta, added, removed }`.
+ */
+function diffHistoryRuns(older, newer) {
+  const rowsOf = (run) => exportRows(buildGroupedExport(run)).map(({ domain, category, url }) => ({ domain, category, url }));
+  const before = rowsOf(older);
+  const after = rowsOf(newer);
+  const beforeUrls = new Set(before.map((row) => row.url));
+  const afterUrls = new Set(after.map((row) => row.url));
+  const added = after.filter((row) => !beforeUrls.has(row.url));
+  const removed = before.filter((row) => !afterUrls.has(row.url));
+  const domains = {};
+  const count = (rows, key) => {
+    rows.forEach((row) => {
+      domains[row.domain] = domains[row.domain] || { before: 0, after: 0, delta: 0, added: 0, removed: 0 };
+      domains[row.domain][key]++;
+    });
+  };
+  count(before, 'before');
+  count(after, 'after');
+  count(added, 'added');
+  count(removed, 'removed');
+  Object.values(domains).forEach((counts) => {
+    counts.delta = counts.after - counts.before;
+  });
+  return { from: older.id, to: newer.id, added, removed, domains };
+}
@@ -0,0 +1,228 @@
+// history.js
+// Script for the harvest history page.  Lists the completed runs saved
+// by the service worker (see history-store.js), compares any two of
+// them and exports the comparison.  Exports read back in
+// (result-import.js) are added to the list or handed to the service
+// worker to become the current results.
+
+// Long URL lists are cut off on screen; exports always contain all of them.
+const MAX_LISTED_URLS = 500;
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function describeRun(entry) {
+  return `${formatDate(entry.finishedAt)} – ${entry.domains.join(', ')} on ${engineLabel(entry)} (${entry.total} URLs)`;
+}
+
+// Runs saved before providers existed all used Google
+function engineLabel(entry) {
+  const label = searchProvider(entry.provider).label;
+  return entry.importedFrom ? `${label}, imported from ${entry.importedFrom}` : label;
+}
+
+function makeCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) cell.className = className;
+  return cell;
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Render a diff as CSV with one row per new or dropped URL.
+ * @param {Object} diff Result of diffHistoryRuns.
+ * @returns {string}
+ */
+function diffToCsv(diff) {
+  const lines = ['change,domain,category,url'];
+  const addRows = (change, rows) => {
+    rows.forEach((row) => {
+      lines.push([change, row.domain, row.category, row.url].map(csvCell).join(','));
+    });
+  };
+  addRows('new', diff.added);
+  addRows('dropped', diff.removed);
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const runsBody = document.getElementById('runsBody');
+  const emptyNote = document.getElementById('emptyNote');
+  const olderSelect = document.getElementById('olderRun');
+  const newerSelect = document.getElementById('newerRun');
+  const compareBtn = document.getElementById('compareBtn');
+  const statusEl = document.getElementById('status');
+  const diffCard = document.getElementById('diffCard');
+  const diffTitle = document.getElementById('diffTitle');
+  const domainsBody = document.getElementById('domainsBody');
+  const addedTitle = document.getElementById('addedTitle');
+  const addedList = document.getElementById('addedList');
+  const removedTitle = document.getElementById('removedTitle');
+  const removedList = document.getElementById('removedList');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const importAction = document.getElementById('importAction');
+  const importBtn = document.getElementById('importBtn');
+  const importFileInput = document.getElementById('importFile');
+
+  let history = [];
+  let currentDiff = null;
+
+  async function refresh() {
+    history = await loadHistory();
+    runsBody.textContent = '';
+    olderSelect.textContent = '';
+    newerSelect.textContent = '';
+    emptyNote.style.display = history.length ? 'none' : 'block';
+    compareBtn.disabled = history.length < 2;
+    history.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      row.appendChild(makeCell(formatDate(entry.finishedAt)));
+      row.appendChild(makeCell(entry.domains.join(', ')));
+      row.appendChild(makeCell(engineLabel(entry)));
+      row.appendChild(makeCell(describeSearchOptions(entry.search)));
+      row.appendChild(makeCell(String(entry.pages), 'num'));
+      row.appendChild(makeCell(String(entry.assets), 'num'));
+      row.appendChild(makeCell(String(entry.total), 'num'));
+      const actions = document.createElement('td');
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        await deleteHistoryRun(entry.id);
+        statusEl.textContent = 'Run deleted.';
+        await refresh();
+      });
+      actions.appendChild(deleteBtn);
+      row.appendChild(actions);
+      runsBody.appendChild(row);
+      [olderSelect, newerSelect].forEach((select) => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = describeRun(entry);
+        select.appendChild(option);
+      });
+      // Default to comparing the two most recent runs
+      if (index === 1) olderSelect.value = entry.id;
+      if (index === 0) newerSelect.value = entry.id;
+    });
+  }
+
+  function renderUrlList(listEl, titleEl, title, rows) {
+    titleEl.textContent = `${title} (${rows.length})`;
+    listEl.textContent = '';
+    rows.slice(0, MAX_LISTED_URLS).forEach((row) => {
+      const item = document.createElement('li');
+      item.textContent = `${row.url} (${row.domain}, ${row.category})`;
+      listEl.appendChild(item);
+    });
+    if (rows.length > MAX_LISTED_URLS) {
+      const more = document.createElement('li');
+      more.className = 'muted';
+      more.textContent = `… and ${rows.length - MAX_LISTED_URLS} more (export the diff to see all)`;
+      listEl.appendChild(more);
+    }
+  }
+
+  function renderDiff(diff, older, newer) {
+    diffTitle.textContent = `${describeRun(older)} → ${describeRun(newer)}`;
+    domainsBody.textContent = '';
+    Object.keys(diff.domains).forEach((domain) => {
+      const counts = diff.domains[domain];
+      const row = document.createElement('tr');
+      row.appendChild(makeCell(domain));
+      row.appendChild(makeCell(String(counts.before), 'num'));
+      row.appendChild(makeCell(String(counts.after), 'num'));
+      const deltaClass = counts.delta > 0 ? 'num positive' : counts.delta < 0 ? 'num negative' : 'num';
+      row.appendChild(makeCell(formatDelta(counts.delta), deltaClass));
+      row.appendChild(makeCell(String(counts.added), 'num'));
+      row.appendChild(makeCell(String(counts.removed), 'num'));
+      domainsBody.appendChild(row);
+    });
+    renderUrlList(addedList, addedTitle, 'Newly indexed', diff.added);
+    renderUrlList(removedList, removedTitle, 'Dropped from the index', diff.removed);
+    diffCard.style.display = 'block';
+  }
+
+  compareBtn.addEventListener('click', async () => {
+    const olderEntry = history.find((entry) => entry.id === olderSelect.value);
+    const newerEntry = history.find((entry) => entry.id === newerSelect.value);
+    if (!olderEntry || !newerEntry || olderEntry.id === newerEntry.id) {
+      statusEl.textContent = 'Pick two different runs to compare.';
+      return;
+    }
+    const [older, newer] = await Promise.all([loadHistoryRun(olderEntry.id), loadHistoryRun(newerEntry.id)]);
+    if (!older || !newer) {
+      statusEl.textContent = 'The saved URLs for one of these runs are missing.';
+      return;
+    }
+    currentDiff = { ...diffHistoryRuns(older, newer), fromRun: olderEntry, toRun: newerEntry };
+    statusEl.textContent = '';
+    renderDiff(currentDiff, olderEntry, newerEntry);
+  });
+
+  const download = (content, mimeType, extension) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    chrome.downloads.download({ url, filename: `index_diff_${timestamp}.${extension}`, saveAs: true }, () => {
+      statusEl.textContent = chrome.runtime.lastError
+        ? `Download failed: ${chrome.runtime.lastError.message}`
+        : 'Download started.';
+    });
+  };
+  exportJsonBtn.addEventListener('click', () => {
+    if (currentDiff) download(JSON.stringify(currentDiff, null, 2), 'application/json', 'json');
+  });
+  exportCsvBtn.addEventListener('click', () => {
+    if (currentDiff) download(diffToCsv(currentDiff), 'text/csv', 'csv');
+  });
+
+  importBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+    let imported;
+    try {
+      imported = parseResultsImport(await file.text(), file.name);
+    } catch (err) {
+      statusEl.textContent = `Cannot import ${file.name}: ${err.message}`;
+      return;
+    }
+    const total = imported.pagesResults.length + imported.assetsResults.length;
+    if (importAction.value === 'history') {
+      try {
+        // The list is refreshed by the storage listener below
+        await saveRunToHistory(imported);
+        statusEl.textContent = `Imported ${total} URLs from ${file.name}; pick it above to compare it with another run.`;
+      } catch (err) {
+        statusEl.textContent = `Cannot import ${file.name}: ${err.message}`;
+      }
+      return;
+    }
+    const merge = importAction.value === 'merge';
+    chrome.runtime.sendMessage({ action: 'importResults', state: imported, merge }, (response) => {
+      const error = chrome.runtime.lastError || (response && response.error ? { message: response.error } : null);
+      if (error) {
+        statusEl.textContent = `Cannot import ${file.name}: ${error.message}`;
+        return;
+      }
+      const done = merge ? `Added ${response.added} new URLs from ${file.name}` : `Opened ${total} URLs from ${file.name}`;
+      statusEl.textContent = `${done}; download them from the popup or browse them in the explorer.`;
+    });
+  });
+
+  // Pick up runs that finish while the page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[HISTORY_INDEX_KEY]) refresh();
+  });
+
+  refresh().catch((err) => {
+    statusEl.textContent = `Could not load history: ${err.message}`;
+  });
+});
@@ -0,0 +1,58 @@
+// normalise.js
+// Canonical forms for harvested URLs.  Google often lists the same page
+// under several URLs (http and https, with and without `www.`, with a
+// trailing slash, a #fragment or tracking parameters); normalising
+// before storage keeps one entry per page.  The service worker
+// normalises, the popup offers the options.
+
+// Each option can be switched off in the popup; all are on by default.
+const URL_NORMALISATION_OPTIONS = {
+  mergeSchemes: 'Merge http:// into https://',
+  mergeWww: 'Merge www. into the bare host',
+  trailingSlash: 'Ignore trailing slashes',
+  dropFragment: 'Drop #fragments',
+  dropTracking: 'Drop tracking parameters (utm_*, gclid, fbclid …)'
+};
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z0-9_]+|gclid|gclsrc|dclid|fbclid|msclkid|yclid|mc_cid|mc_eid|_ga|_gl)$/i;
+
+/**
+ * Complete a set of normalisation options, treating missing ones as on.
+ * @param {Object} [options] Booleans keyed like URL_NORMALISATION_OPTIONS.
+ * @returns {Object}
+ */
+function normalisationOptions(options = {}) {
+  const complete = {};
+  Object.keys(URL_NORMALISATION_OPTIONS).forEach((key) => {
+    complete[key] = options[key] !== false;
+  });
+  return complete;
+}
+
+/**
+ * Normalise an http(s) URL.  Only the options that are set apply; other
+ * schemes and unparseable URLs are returned unchanged.
+ * @param {string} url
+ * @param {Object} options See URL_NORMALISATION_OPTIONS.
+ * @returns {string}
+ */
+function normaliseUrl(url, options) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return url;
+  if (options.mergeSchemes) urlObj.protocol = 'https:';
+  if (options.mergeWww) urlObj.hostname = urlObj.hostname.replace(/^www\./i, '');
+  if (options.dropFragment) urlObj.hash = '';
+  if (options.dropTracking) {
+    const tracking = Array.from(urlObj.searchParams.keys()).filter((key) => TRACKING_PARAM_PATTERN.test(key));
+    // Rewriting the query re-encodes it, so leave clean queries alone
+    if (tracking.length) tracking.forEach((key) => urlObj.searchParams.delete(key));
+  }
+  if (options.trailingSlash && urlObj.pathname.length > 1) {
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+  }
+  return urlObj.toString();
+}
@@ -0,0 +1,217 @@
+// options.js
+// Script for the settings page.  Edits the classification rules (see
+// classify.js) as JSON, imports and exports them as files so a team can
+// share one definition, and classifies a sample URL with the rules as
+// currently typed.  Also sets the endpoint of each search provider (see
+// providers.js) and the rate the search requests are sent at (see
+// rate-limit.js).
+
+function formatRules(classification) {
+  return JSON.stringify(classification, null, 2);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const rulesText = document.getElementById('rulesText');
+  const saveBtn = document.getElementById('saveBtn');
+  const resetBtn = document.getElementById('resetBtn');
+  const importBtn = document.getElementById('importBtn');
+  const exportBtn = document.getElementById('exportBtn');
+  const importFile = document.getElementById('importFile');
+  const statusEl = document.getElementById('status');
+  const testUrl = document.getElementById('testUrl');
+  const testMime = document.getElementById('testMime');
+  const testBtn = document.getElementById('testBtn');
+  const testResult = document.getElementById('testResult');
+
+  // Parse and validate the editor contents, reporting problems below it
+  const readRules = () => {
+    try {
+      return validateClassification(JSON.parse(rulesText.value));
+    } catch (err) {
+      statusEl.textContent = `Invalid rules: ${err.message}`;
+      return null;
+    }
+  };
+
+  loadClassification().then((classification) => {
+    rulesText.value = formatRules(classification);
+  });
+
+  saveBtn.addEventListener('click', () => {
+    const classification = readRules();
+    if (!classification) return;
+    chrome.storage.local.set({ [CLASSIFICATION_KEY]: classification }, () => {
+      rulesText.value = formatRules(classification);
+      statusEl.textContent = `Saved ${classification.rules.length} rules.`;
+    });
+  });
+
+  resetBtn.addEventListener('click', () => {
+    chrome.storage.local.remove(CLASSIFICATION_KEY, () => {
+      rulesText.value = formatRules(DEFAULT_CLASSIFICATION);
+      statusEl.textContent = 'Restored the default rules.';
+    });
+  });
+
+  // Imported rules land in the editor and still need saving, so they
+  // can be reviewed first
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    try {
+      const classification = validateClassification(JSON.parse(await file.text()));
+      rulesText.value = formatRules(classification);
+      statusEl.textContent = `Imported ${classification.rules.length} rules from ${file.name}. Save to use them.`;
+    } catch (err) {
+      statusEl.textContent = `Could not import ${file.name}: ${err.message}`;
+    }
+  });
+
+  exportBtn.addEventListener('click', () => {
+    const classification = readRules();
+    if (!classification) return;
+    const url = URL.createObjectURL(new Blob([formatRules(classification)], { type: 'application/json' }));
+    chrome.downloads.download({ url, filename: 'classification_rules.json', saveAs: true }, () => {
+      statusEl.textContent = chrome.runtime.lastError
+        ? `Download failed: ${chrome.runtime.lastError.message}`
+        : 'Download started.';
+    });
+  });
+
+  testBtn.addEventListener('click', () => {
+    const classification = readRules();
+    if (!classification) return;
+    const url = testUrl.value.trim();
+    try {
+      new URL(url);
+    } catch (e) {
+      testResult.textContent = 'Enter a full URL, including https://.';
+      return;
+    }
+    const category = classifyResult(url, { mime: testMime.value.trim() }, classification);
+    testResult.textContent = `Category: ${category}`;
+  });
+
+  // One field per provider, empty when it uses its own API
+  const endpointFields = document.getElementById('endpointFields');
+  const saveEndpointsBtn = document.getElementById('saveEndpointsBtn');
+  const endpointStatus = document.getElementById('endpointStatus');
+  const endpointInputs = {};
+  Object.keys(SEARCH_PROVIDERS).forEach((provider) => {
+    const row = document.createElement('div');
+    row.className = 'actions endpoint';
+    const label = document.createElement('label');
+    label.textContent = SEARCH_PROVIDERS[provider].label;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = SEARCH_PROVIDERS[provider].endpoint;
+    label.htmlFor = input.id = `endpoint-${provider}`;
+    row.append(label, input);
+    endpointFields.appendChild(row);
+    endpointInputs[provider] = input;
+  });
+  chrome.storage.local.get(PROVIDER_ENDPOINTS_KEY, (data) => {
+    const endpoints = data[PROVIDER_ENDPOINTS_KEY] || {};
+    Object.keys(endpointInputs).forEach((provider) => {
+      endpointInputs[provider].value = endpoints[provider] || '';
+    });
+  });
+
+  saveEndpointsBtn.addEventListener('click', () => {
+    const endpoints = {};
+    const origins = [];
+    for (const provider of Object.keys(endpointInputs)) {
+      const value = endpointInputs[provider].value.trim();
+      if (!value) continue;
+      let urlObj;
+      try {
+        urlObj = new URL(value);
+      } catch (e) {
+        endpointStatus.textContent = `${SEARCH_PROVIDERS[provider].label}: enter a full URL, including http:// or https://.`;
+        return;
+      }
+      if (!['http:', 'https:'].includes(urlObj.protocol)) {
+        endpointStatus.textContent = `${SEARCH_PROVIDERS[provider].label}: only http and https endpoints are supported.`;
+        return;
+      }
+      endpoints[provider] = value;
+      origins.push(`${urlObj.origin}/*`);
+    }
+    const save = () => {
+      chrome.storage.local.set({ [PROVIDER_ENDPOINTS_KEY]: endpoints }, () => {
+        const count = Object.keys(endpoints).length;
+        endpointStatus.textContent = count ? `Saved ${count} custom endpoint(s).` : 'All providers use their own API.';
+      });
+    };
+    if (origins.length === 0) {
+      save();
+      return;
+    }
+    // Must be requested from the click itself, so no awaiting before it
+    chrome.permissions.request({ origins }, (granted) => {
+      if (!granted) {
+        endpointStatus.textContent = 'Not saved: access to the endpoint was not granted.';
+        return;
+      }
+      save();
+    });
+  });
+
+  // Empty fields use the defaults
+  const rateFields = document.getElementById('rateFields');
+  const saveRateBtn = document.getElementById('saveRateBtn');
+  const resetRateBtn = document.getElementById('resetRateBtn');
+  const rateStatus = document.getElementById('rateStatus');
+  const rateInputs = {};
+  Object.keys(RATE_LIMIT_FIELDS).forEach((name) => {
+    const field = RATE_LIMIT_FIELDS[name];
+    const row = document.createElement('div');
+    row.className = 'actions endpoint';
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = 1;
+    input.placeholder = DEFAULT_RATE_LIMITS[name];
+    label.htmlFor = input.id = `rate-${name}`;
+    row.append(label, input);
+    rateFields.appendChild(row);
+    rateInputs[name] = input;
+  });
+  chrome.storage.local.get(RATE_LIMITS_KEY, (data) => {
+    const saved = data[RATE_LIMITS_KEY] || {};
+    Object.keys(rateInputs).forEach((name) => {
+      rateInputs[name].value = saved[name] ?? '';
+    });
+  });
+
+  saveRateBtn.addEventListener('click', () => {
+    const input = {};
+    Object.keys(rateInputs).forEach((name) => {
+      input[name] = rateInputs[name].value.trim();
+    });
+    let settings;
+    try {
+      settings = rateLimitSettings(input);
+    } catch (e) {
+      rateStatus.textContent = e.message;
+      return;
+    }
+    chrome.storage.local.set({ [RATE_LIMITS_KEY]: settings }, () => {
+      const perMinute = Math.floor(60000 / settings.minIntervalMs);
+      rateStatus.textContent = `Saved: at most ${perMinute} requests per minute per key, bursts of ${settings.burst}. Applies to the next run.`;
+    });
+  });
+  resetRateBtn.addEventListener('click', () => {
+    chrome.storage.local.remove(RATE_LIMITS_KEY, () => {
+      Object.values(rateInputs).forEach((input) => {
+        input.value = '';
+      });
+      rateStatus.textContent = 'Using the defaults.';
+    });
+  });
+});
@@ -22,20 +22,67 @@ let currentState = null;
 
 // Restore user preferences and fetch state on load
 document.addEventListener('DOMContentLoaded', () => {
+  const providerSelect = document.getElementById('searchProvider');
+  const apiKeyLink = document.getElementById('apiKeyLink');
+  const cseIdField = document.getElementById('cseIdField');
   const apiKeyInput = document.getElementById('apiKey');
   const cseIdInput = document.getElementById('cseId');
   const domainsInput = document.getElementById('domains');
+  const domainsWarning = document.getElementById('domainsWarning');
+  const currentSiteBtn = document.getElementById('currentSiteBtn');
+  const importDomainsBtn = document.getElementById('importDomainsBtn');
+  const domainsFileInput = document.getElementById('domainsFile');
+  const domainListNameInput = document.getElementById('domainListName');
+  const saveDomainListBtn = document.getElementById('saveDomainListBtn');
+  const domainListsEl = document.getElementById('domainLists');
+  const deepHarvestInput = document.getElementById('deepHarvest');
+  const compareSitemapsInput = document.getElementById('compareSitemaps');
+  const checkStatusInput = document.getElementById('checkStatus');
   const startBtn = document.getElementById('startBtn');
   const downloadBtn = document.getElementById('downloadBtn');
+  const explorerBtn = document.getElementById('explorerBtn');
+  const historyBtn = document.getElementById('historyBtn');
+  const settingsBtn = document.getElementById('settingsBtn');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const runControls = document.getElementById('runControls');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const resumeBtn = document.getElementById('resumeBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
   const progressContainer = document.getElementById('progressContainer');
   const progressEl = document.getElementById('progress');
   const statusEl = document.getElementById('status');
   const attemptLabel = document.getElementById('attemptLabel');
   const attemptErrorEl = document.getElementById('attemptError');
+  const queryBudgetInput = document.getElementById('queryBudget');
+  const budgetActionSelect = document.getElementById('budgetAction');
+  const costEstimateEl = document.getElementById('costEstimate');
+  const normaliseOptionsEl = document.getElementById('normaliseOptions');
+  const queryTermsInput = document.getElementById('queryTerms');
+  const searchParamsEl = document.getElementById('searchParams');
+  const scheduleFrequencySelect = document.getElementById('scheduleFrequency');
+  const scheduleWeekdaySelect = document.getElementById('scheduleWeekday');
+  const scheduleTimeInput = document.getElementById('scheduleTime');
+  const addScheduleBtn = document.getElementById('addScheduleBtn');
+  const scheduleList = document.getElementById('scheduleList');
+  const profileNameInput = document.getElementById('profileName');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const profileList = document.getElementById('profileList');
+  const rotateKeysInput = document.getElementById('rotateKeys');
+  const unlockPrompt = document.getElementById('unlockPrompt');
+  const unlockPassphraseInput = document.getElementById('unlockPassphrase');
+  const unlockBtn = document.getElementById('unlockBtn');
+  const forgetVaultBtn = document.getElementById('forgetVaultBtn');
+  const credentialStorageSelect = document.getElementById('credentialStorage');
+  const applyStorageBtn = document.getElementById('applyStorageBtn');
+  const passphraseRow = document.getElementById('passphraseRow');
+  const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+  const vaultPassphraseRepeatInput = document.getElementById('vaultPassphraseRepeat');
+  const lockBtn = document.getElementById('lockBtn');
   const fieldErrors = {
     apiKey: document.getElementById('apiKeyError'),
     cseId: document.getElementById('cseIdError'),
-    domains: document.getElementById('domainsError')
+    domains: document.getElementById('domainsError'),
+    queryTerms: document.getElementById('queryTermsError')
   };
   const formFields = {
     apiKey: {
@@ -46,44 +93,219 @@ document.addEventListener('DOMContentLoaded', () => {
     cseId: {
       input: cseIdInput,
       errorEl: fieldErrors.cseId,
-      validate: (value) => (value ? '' : 'CSE ID is required.')
+      // Only some providers pair the key with a search engine ID
+      validate: (value) => (value || !searchProvider(providerSelect.value).needsEngineId ? '' : 'CSE ID is required.')
     },
     domains: {
       input: domainsInput,
       errorEl: fieldErrors.domains,
+      // Each entry may carry scope rules (see scope.js); duplicates and
+      // overlaps are only warned about, below the field
       validate: (value) => {
         if (!value) return 'Domain list is required.';
-        const domains = value.split(/\s*,\s*/).filter(Boolean);
+        const domains = splitDomainEntries(value);
         if (domains.length === 0) return 'Enter at least one domain.';
-        return '';
+        const { errors, warnings } = checkDomainEntries(domains);
+        domainsWarning.textContent = warnings.join(' ');
+        return errors[0] || '';
+      }
+    },
+    // Checks the parameters below the terms as well
+    queryTerms: {
+      input: queryTermsInput,
+      errorEl: fieldErrors.queryTerms,
+      validate: () => {
+        try {
+          searchOptions(currentSearchOptions(), providerSelect.value);
+          return '';
+        } catch (e) {
+          return e.message;
+        }
       }
     }
   };
 
+  // Offer every search provider; the fields follow the one picked
+  Object.keys(SEARCH_PROVIDERS).forEach((provider) => {
+    const option = document.createElement('option');
+    option.value = provider;
+    option.textContent = SEARCH_PROVIDERS[provider].label;
+    providerSelect.appendChild(option);
+  });
+  const updateProviderFields = () => {
+    const provider = searchProvider(providerSelect.value);
+    apiKeyLink.href = provider.keyUrl;
+    cseIdField.style.display = provider.needsEngineId ? '' : 'none';
+    Object.keys(searchParamInputs).forEach((name) => {
+      searchParamInputs[name].disabled = !provider.searchParams.includes(name);
+    });
+  };
+
+  // One input per search parameter; unset parameters are left out
+  const searchParamInputs = {};
+  Object.keys(SEARCH_PARAMS).forEach((name) => {
+    const spec = SEARCH_PARAMS[name];
+    const row = document.createElement('div');
+    row.className = 'param-row';
+    const label = document.createElement('label');
+    label.textContent = spec.label;
+    let input;
+    if (spec.options) {
+      input = document.createElement('select');
+      ['', ...spec.options].forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || 'Default';
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = spec.placeholder;
+    }
+    label.htmlFor = input.id = `param-${name}`;
+    input.addEventListener(spec.options ? 'change' : 'input', () => {
+      chrome.storage.local.set({ [SEARCH_OPTIONS_KEY]: currentSearchOptions(true) });
+      validateField('queryTerms');
+    });
+    row.append(label, input);
+    searchParamsEl.appendChild(row);
+    searchParamInputs[name] = input;
+  });
+  // Parameters the selected engine cannot apply are saved but not sent
+  const currentSearchOptions = (keepUnsupported = false) => {
+    const supported = searchProvider(providerSelect.value).searchParams;
+    const params = {};
+    Object.keys(searchParamInputs).forEach((name) => {
+      const value = searchParamInputs[name].value.trim();
+      if (value && (keepUnsupported || supported.includes(name))) params[name] = value;
+    });
+    return { terms: queryTermsInput.value.trim(), params };
+  };
+
+  // Offer every export format next to the download button
+  Object.keys(EXPORT_FORMATS).forEach((format) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = EXPORT_FORMATS[format].label;
+    exportFormatSelect.appendChild(option);
+  });
+
+  // Schedule choices; weekly schedules default to Monday
+  Object.keys(SCHEDULE_FREQUENCIES).forEach((frequency) => {
+    const option = document.createElement('option');
+    option.value = frequency;
+    option.textContent = SCHEDULE_FREQUENCIES[frequency];
+    scheduleFrequencySelect.appendChild(option);
+  });
+  WEEKDAYS.forEach((day, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = day;
+    scheduleWeekdaySelect.appendChild(option);
+  });
+  scheduleFrequencySelect.value = 'weekly';
+  scheduleWeekdaySelect.value = '1';
+
+  // One checkbox per URL normalisation option
+  const normaliseInputs = {};
+  Object.keys(URL_NORMALISATION_OPTIONS).forEach((key) => {
+    const field = document.createElement('div');
+    field.className = 'field option';
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = true;
+    input.addEventListener('change', () => {
+      chrome.storage.local.set({ urlNormalisation: currentNormalisation() });
+    });
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${URL_NORMALISATION_OPTIONS[key]}`));
+    field.appendChild(label);
+    normaliseOptionsEl.appendChild(field);
+    normaliseInputs[key] = input;
+  });
+  const currentNormalisation = () => {
+    const options = {};
+    Object.keys(normaliseInputs).forEach((key) => {
+      options[key] = normaliseInputs[key].checked;
+    });
+    return options;
+  };
+
   // Configure visibility toggles
   setupToggle('toggleApi', 'apiKey');
   setupToggle('toggleCse', 'cseId');
 
   // Load saved credentials and domains
-  chrome.storage.local.get(['apiKey', 'cseId', 'domains', 'fetchState'], (data) => {
-    if (data.apiKey) apiKeyInput.value = data.apiKey;
-    if (data.cseId) cseIdInput.value = data.cseId;
-    if (data.domains) domainsInput.value = data.domains;
-    if (data.fetchState) currentState = data.fetchState;
-    updateUI();
-  });
+  chrome.storage.local.get(
+    [
+      SEARCH_PROVIDER_KEY,
+      SEARCH_OPTIONS_KEY,
+      'domains',
+      'deepHarvest',
+      'compareSitemaps',
+      'checkStatus',
+      'urlNormalisation',
+      'exportFormat',
+      'queryBudget',
+      'budgetAction',
+      ROTATE_KEYS_KEY,
+      'fetchState'
+    ],
+    (data) => {
+      if (SEARCH_PROVIDERS[data[SEARCH_PROVIDER_KEY]]) providerSelect.value = data[SEARCH_PROVIDER_KEY];
+      const savedSearch = data[SEARCH_OPTIONS_KEY] || {};
+      queryTermsInput.value = savedSearch.terms || '';
+      Object.keys(searchParamInputs).forEach((name) => {
+        searchParamInputs[name].value = (savedSearch.params || {})[name] || '';
+      });
+      updateProviderFields();
+      if (data.domains) {
+        domainsInput.value = data.domains;
+        validateField('domains');
+        renderDomainLists();
+      }
+      deepHarvestInput.checked = Boolean(data.deepHarvest);
+      compareSitemapsInput.checked = Boolean(data.compareSitemaps);
+      checkStatusInput.checked = Boolean(data.checkStatus);
+      if (data.exportFormat && EXPORT_FORMATS[data.exportFormat]) exportFormatSelect.value = data.exportFormat;
+      const normalise = normalisationOptions(data.urlNormalisation);
+      Object.keys(normaliseInputs).forEach((key) => {
+        normaliseInputs[key].checked = normalise[key];
+      });
+      if (data.queryBudget) queryBudgetInput.value = data.queryBudget;
+      if (data.budgetAction) budgetActionSelect.value = data.budgetAction;
+      rotateKeysInput.checked = Boolean(data[ROTATE_KEYS_KEY]);
+      if (data.fetchState) currentState = data.fetchState;
+      updateUI();
+      showCredentials();
+    }
+  );
 
   // Persist values as the user types.  This prevents accidental
   // data loss if the popup is closed before starting a fetch.
+  providerSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ [SEARCH_PROVIDER_KEY]: providerSelect.value });
+    updateProviderFields();
+    validateField('cseId');
+    validateField('queryTerms');
+    updateCostEstimate();
+    loadCredentialProfiles().then(renderProfiles);
+  });
+  queryTermsInput.addEventListener('input', () => {
+    chrome.storage.local.set({ [SEARCH_OPTIONS_KEY]: currentSearchOptions(true) });
+    validateField('queryTerms');
+  });
   apiKeyInput.addEventListener('input', () => {
     const val = apiKeyInput.value.trim();
-    chrome.storage.local.set({ apiKey: val });
+    saveCredentialFields({ apiKey: val });
     validateField('apiKey');
     if (!currentState || !currentState.running) statusEl.textContent = '';
   });
   cseIdInput.addEventListener('input', () => {
     const val = cseIdInput.value.trim();
-    chrome.storage.local.set({ cseId: val });
+    saveCredentialFields({ cseId: val });
     validateField('cseId');
     if (!currentState || !currentState.running) statusEl.textContent = '';
   });
@@ -91,17 +313,210 @@ document.addEventListener('DOMContentLoaded', () => {
     const val = domainsInput.value.trim();
     chrome.storage.local.set({ domains: val });
     validateField('domains');
+    updateCostEstimate();
     if (!currentState || !currentState.running) statusEl.textContent = '';
   });
+  // Replace the domain field, e.g. after an import or with a saved list
+  const setDomains = (entries) => {
+    domainsInput.value = entries.join('\n');
+    chrome.storage.local.set({ domains: domainsInput.value });
+    validateField('domains');
+    updateCostEstimate();
+    renderDomainLists();
+  };
 
-  // Update UI whenever fetch state changes in storage
+  // The site of the current tab can be added with one click; the link
+  // only shows when the tab is on a website
+  let currentSite = '';
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    currentSite = siteDomainEntry((tabs && tabs[0] && tabs[0].url) || '');
+    if (!currentSite) return;
+    currentSiteBtn.title = `Add ${currentSite}`;
+    currentSiteBtn.hidden = false;
+  });
+  currentSiteBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    const current = splitDomainEntries(domainsInput.value);
+    const merged = dedupeDomainEntries(current.concat(currentSite));
+    setDomains(merged);
+    statusEl.textContent = merged.length > current.length ? `Added ${currentSite}.` : `${currentSite} is already listed.`;
+  });
+
+  // Imported domains are added to the ones already entered, skipping
+  // any that are listed already
+  importDomainsBtn.addEventListener('click', (event) => {
+    event.preventDefault();
+    domainsFileInput.click();
+  });
+  domainsFileInput.addEventListener('change', async () => {
+    const file = domainsFileInput.files[0];
+    domainsFileInput.value = '';
+    if (!file) return;
+    try {
+      const { entries, invalid } = parseDomainFile(await file.text(), file.name);
+      const current = splitDomainEntries(domainsInput.value);
+      const merged = dedupeDomainEntries(current.concat(entries));
+      setDomains(merged);
+      const skipped = current.length + entries.length - merged.length;
+      const notes = [];
+      if (skipped) notes.push(`${skipped} already listed`);
+      if (invalid.length) notes.push(`${invalid.length} not a domain: ${invalid.slice(0, 3).join(', ')}${invalid.length > 3 ? ', ...' : ''}`);
+      const added = merged.length - current.length;
+      statusEl.textContent = `Imported ${added} domain${added === 1 ? '' : 's'} from ${file.name}${notes.length ? ` (${notes.join('; ')})` : ''}.`;
+    } catch (e) {
+      statusEl.textContent = `Cannot read ${file.name}: ${e.message}`;
+    }
+  });
+
+  // Saved domain lists (see domain-lists.js); using one replaces the
+  // domain field
+  const renderDomainLists = async () => {
+    const lists = await loadDomainLists();
+    const current = splitDomainEntries(domainsInput.value).join('\n');
+    domainListsEl.textContent = '';
+    lists.forEach((list) => {
+      const item = document.createElement('li');
+      const text = document.createElement('div');
+      const inUse = list.domains.join('\n') === current;
+      text.textContent = `${list.name} (${list.domains.length} domain${list.domains.length === 1 ? '' : 's'})${inUse ? ' – in use' : ''}`;
+      text.title = list.domains.join('\n');
+      const useBtn = document.createElement('button');
+      useBtn.className = 'secondary';
+      useBtn.textContent = 'Use';
+      useBtn.disabled = inUse;
+      useBtn.addEventListener('click', () => setDomains(list.domains));
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'danger';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        const remaining = (await loadDomainLists()).filter((candidate) => candidate.name !== list.name);
+        await saveDomainLists(remaining);
+      });
+      item.appendChild(text);
+      item.appendChild(useBtn);
+      item.appendChild(removeBtn);
+      domainListsEl.appendChild(item);
+    });
+  };
+  renderDomainLists();
+
+  // Saving under an existing name replaces that list
+  saveDomainListBtn.addEventListener('click', async () => {
+    const name = domainListNameInput.value.trim();
+    if (!name) {
+      statusEl.textContent = 'Enter a name for the list.';
+      return;
+    }
+    if (!validateField('domains')) {
+      statusEl.textContent = 'Fix the domains before saving them.';
+      return;
+    }
+    const lists = (await loadDomainLists()).filter((list) => list.name !== name);
+    lists.push({ name, domains: splitDomainEntries(domainsInput.value) });
+    await saveDomainLists(lists);
+    domainListNameInput.value = '';
+    statusEl.textContent = `Saved domain list "${name}".`;
+  });
+  deepHarvestInput.addEventListener('change', () => {
+    chrome.storage.local.set({ deepHarvest: deepHarvestInput.checked });
+    updateCostEstimate();
+  });
+  compareSitemapsInput.addEventListener('change', () => {
+    chrome.storage.local.set({ compareSitemaps: compareSitemapsInput.checked });
+  });
+  checkStatusInput.addEventListener('change', () => {
+    chrome.storage.local.set({ checkStatus: checkStatusInput.checked });
+  });
+  exportFormatSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ exportFormat: exportFormatSelect.value });
+  });
+  queryBudgetInput.addEventListener('input', () => {
+    const budget = parseInt(queryBudgetInput.value, 10);
+    chrome.storage.local.set({ queryBudget: budget > 0 ? budget : 0 });
+  });
+  budgetActionSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ budgetAction: budgetActionSelect.value });
+  });
+
+  // Show the worst-case cost of starting now next to what is left of
+  // today's quota, so a run that cannot finish is obvious up front
+  function updateCostEstimate() {
+    const domains = splitDomainEntries(domainsInput.value);
+    if (domains.length === 0) {
+      costEstimateEl.textContent = '';
+      return;
+    }
+    const request = {
+      action: 'estimateCost',
+      provider: providerSelect.value,
+      domainCount: domains.length,
+      deepHarvest: deepHarvestInput.checked
+    };
+    chrome.runtime.sendMessage(request, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        costEstimateEl.textContent = '';
+        return;
+      }
+      const { queries, spent, budget, freeQueries, resetAt } = response;
+      const limit = budget.limit || freeQueries;
+      const left = Math.max(0, limit - spent);
+      const parts = [`Worst case: ${queries} queries.`];
+      if (limit) {
+        parts.push(`${spent} spent today, ${left} left ${budget.limit ? 'in your budget' : `of the ${freeQueries} free`}.`);
+        if (queries > left) parts.push('This run may not finish today.');
+      } else {
+        parts.push(`${spent} spent today.`);
+      }
+      parts.push(`Resets ${new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`);
+      costEstimateEl.textContent = parts.join(' ');
+    });
+  }
+
+  // Update UI whenever fetch state or the schedules change in storage
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area === 'local' && changes.fetchState) {
       currentState = changes.fetchState.newValue;
       updateUI();
     }
+    if (area === 'local' && changes[SCHEDULES_KEY]) {
+      renderSchedules(changes[SCHEDULES_KEY].newValue || []);
+    }
+    if (area === 'local' && (changes[QUOTA_USAGE_KEY] || changes.queryBudget)) {
+      updateCostEstimate();
+    }
+    if (area === 'local' && changes[DOMAIN_LISTS_KEY]) {
+      renderDomainLists();
+    }
+    // Profiles are in session storage unless credentials are saved as
+    // they are (see credentials.js); the other area never holds them
+    if ((area === 'local' || area === 'session') && changes[CREDENTIAL_PROFILES_KEY]) {
+      loadCredentialProfiles().then(renderProfiles);
+    }
   });
 
+  // Reading robots.txt and sitemaps and checking the collected URLs
+  // need access to the domains themselves; this has to be asked while
+  // we still have the click's user gesture.  `done` receives whether
+  // access was granted, and is called at once when neither option is on.
+  const requestSiteAccess = (domains, done) => {
+    if (!compareSitemapsInput.checked && !checkStatusInput.checked) {
+      done(false);
+      return;
+    }
+    const origins = siteAccessOrigins(domains);
+    try {
+      chrome.permissions.request({ origins }, (granted) => {
+        if (chrome.runtime.lastError || !granted) {
+          statusEl.textContent = 'Site access was not granted; skipping sitemap comparison and status check.';
+        }
+        done(Boolean(granted) && !chrome.runtime.lastError);
+      });
+    } catch (e) {
+      statusEl.textContent = `Cannot request site access: ${e.message}`;
+      done(false);
+    }
+  };
+
   // Start a new harvest when the user clicks the start button
   startBtn.addEventListener('click', () => {
     const allValid = validateAll();
@@ -109,10 +524,10 @@ document.addEventListener('DOMContentLoaded', () => {
       statusEl.textContent = 'Please fix the highlighted fields.';
       return;
     }
-    const apiKey = apiKeyInput.value.trim();
-    const cseId = cseIdInput.value.trim();
+    const provider = providerSelect.value;
     const domainsStr = domainsInput.value.trim();
-    const domains = domainsStr.split(/\s*,\s*/).filter(Boolean);
+    const domains = splitDomainEntries(domainsStr);
+    const deepHarvest = deepHarvestInput.checked;
     if (domains.length === 0) {
       const field = domainsInput.closest('.field');
       if (field) field.classList.add('invalid');
@@ -127,113 +542,361 @@ document.addEventListener('DOMContentLoaded', () => {
     attemptLabel.textContent = 'Starting attempt 1 ...';
     attemptLabel.style.display = 'block';
     startBtn.disabled = true;
-    // Save the credentials and domains for future sessions
-    chrome.storage.local.set({ apiKey, cseId, domains: domainsStr });
-    chrome.runtime.sendMessage({ action: 'startFetch', apiKey, cseId, domains }, () => {
-      if (chrome.runtime.lastError) {
-        const failureMessage = `Failed to start: ${chrome.runtime.lastError.message}`;
-        attemptLabel.style.display = 'none';
-        attemptErrorEl.textContent = failureMessage;
-        attemptErrorEl.style.display = 'block';
-        statusEl.textContent = failureMessage;
-        startBtn.disabled = false;
-      }
-    });
-  });
-
-  // Download the harvested URLs when the user clicks download
-  downloadBtn.addEventListener('click', () => {
-    if (!currentState || currentState.running) return;
-    const rawPages = Array.isArray(currentState.pagesResults) ? currentState.pagesResults : [];
-    const rawAssets = Array.isArray(currentState.assetsResults) ? currentState.assetsResults : [];
-    const normaliseDomain = (domain) => {
-      if (!domain) return '';
-      let input = domain.trim();
-      if (!input) return '';
-      if (!/^https?:\/\//i.test(input)) {
-        input = `https://${input}`;
-      }
+    // Save the credentials and domains for future sessions; the service
+    // worker reads the credentials from storage rather than the message
+    const saved = Promise.all([
+      writeCredentialSettings({ apiKey: apiKeyInput.value.trim(), cseId: cseIdInput.value.trim() }),
+      chrome.storage.local.set({ [SEARCH_PROVIDER_KEY]: provider, domains: domainsStr, deepHarvest })
+    ]);
+    const failStart = (message) => {
+      const failureMessage = `Failed to start: ${message}`;
+      attemptLabel.style.display = 'none';
+      attemptErrorEl.textContent = failureMessage;
+      attemptErrorEl.style.display = 'block';
+      statusEl.textContent = failureMessage;
+      startBtn.disabled = false;
+    };
+    const sendStart = async (siteAccess) => {
       try {
-        const parsed = new URL(input);
-        return parsed.hostname.toLowerCase().replace(/^www\./, '');
-      } catch (e) {
-        return input.replace(/^www\./, '').split('/')[0].toLowerCase();
+        await saved;
+      } catch (err) {
+        failStart(err.message);
+        return;
       }
+      const normalise = currentNormalisation();
+      const search = currentSearchOptions();
+      const compareSitemaps = siteAccess && compareSitemapsInput.checked;
+      const checkStatus = siteAccess && checkStatusInput.checked;
+      const request = {
+        action: 'startFetch',
+        provider,
+        domains,
+        deepHarvest,
+        compareSitemaps,
+        checkStatus,
+        normalise,
+        search
+      };
+      chrome.runtime.sendMessage(request, (response) => {
+        const error = chrome.runtime.lastError || (response && response.error ? { message: response.error } : null);
+        if (error) failStart(error.message);
+      });
     };
-    const seenDomains = new Set();
-    const domainConfigs = (Array.isArray(currentState.domains) ? currentState.domains : [])
-      .map((d) => normaliseDomain(d))
-      .filter((domain) => {
-        if (!domain || seenDomains.has(domain)) return false;
-        seenDomains.add(domain);
-        return true;
-      })
-      .sort((a, b) => b.length - a.length);
-    const domainGroups = {};
-    const domainOrder = [];
-    const ensureGroup = (key) => {
-      const label = key || 'unknown';
-      if (!domainGroups[label]) {
-        domainGroups[label] = { pages: [], assets: [] };
-        domainOrder.push(label);
+    requestSiteAccess(domains, sendStart);
+  });
+
+  // Schedules run the current domain list and options in the
+  // background; the service worker owns their alarms
+  const renderSchedules = (schedules) => {
+    scheduleList.textContent = '';
+    schedules.forEach((schedule) => {
+      const item = document.createElement('li');
+      const text = document.createElement('div');
+      const details = [describeSchedule(schedule)];
+      if (schedule.nextRunAt) details.push(`next ${new Date(schedule.nextRunAt).toLocaleString()}`);
+      const query = describeSearchOptions(schedule.search);
+      if (query) details.push(`query ${query}`);
+      text.textContent = `${schedule.domains.join(', ')}: ${details.join(', ')}`;
+      if (schedule.lastResult) {
+        const last = document.createElement('div');
+        last.className = 'hint';
+        last.textContent = `Last run: ${schedule.lastResult}`;
+        text.appendChild(last);
       }
-      return domainGroups[label];
-    };
-    const matchDomain = (url) => {
-      try {
-        const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
-        for (const domain of domainConfigs) {
-          if (hostname === domain || hostname.endsWith(`.${domain}`)) {
-            return domain;
-          }
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'danger';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'removeSchedule', id: schedule.id }, () => {
+          if (chrome.runtime.lastError) statusEl.textContent = `Request failed: ${chrome.runtime.lastError.message}`;
+        });
+      });
+      item.appendChild(text);
+      item.appendChild(removeBtn);
+      scheduleList.appendChild(item);
+    });
+  };
+  loadSchedules().then(renderSchedules);
+
+  const updateWeekdayVisibility = () => {
+    scheduleWeekdaySelect.style.display = scheduleFrequencySelect.value === 'weekly' ? '' : 'none';
+  };
+  scheduleFrequencySelect.addEventListener('change', updateWeekdayVisibility);
+  updateWeekdayVisibility();
+
+  addScheduleBtn.addEventListener('click', () => {
+    if (!validateAll()) {
+      statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    const domains = splitDomainEntries(domainsInput.value);
+    const sendSchedule = (siteAccess) => {
+      const schedule = {
+        domains,
+        frequency: scheduleFrequencySelect.value,
+        weekday: Number(scheduleWeekdaySelect.value),
+        time: scheduleTimeInput.value,
+        provider: providerSelect.value,
+        deepHarvest: deepHarvestInput.checked,
+        compareSitemaps: siteAccess && compareSitemapsInput.checked,
+        checkStatus: siteAccess && checkStatusInput.checked,
+        normalise: currentNormalisation(),
+        search: currentSearchOptions()
+      };
+      chrome.runtime.sendMessage({ action: 'addSchedule', schedule }, (response) => {
+        if (chrome.runtime.lastError) {
+          statusEl.textContent = `Request failed: ${chrome.runtime.lastError.message}`;
+        } else if (response && response.error) {
+          statusEl.textContent = response.error;
+        } else {
+          statusEl.textContent = `Scheduled: ${describeSchedule(response.schedule)}.`;
         }
-        return hostname || url;
-      } catch (e) {
-        return url;
-      }
+      });
     };
-    rawPages.forEach((url) => {
-      const entry = { url };
-      const domainKey = matchDomain(url);
-      ensureGroup(domainKey).pages.push(entry);
+    requestSiteAccess(domains, sendSchedule);
+  });
+
+  // Credential profiles are kept like the key in use (see
+  // credentials.js); using one copies it into the API key and CSE ID
+  // fields
+  const renderProfiles = (profiles) => {
+    profileList.textContent = '';
+    profiles.forEach((profile) => {
+      const item = document.createElement('li');
+      const text = document.createElement('div');
+      const inUse =
+        profile.provider === providerSelect.value &&
+        profile.apiKey === apiKeyInput.value.trim() &&
+        (profile.cseId || '') === cseIdInput.value.trim();
+      const engine = searchProvider(profile.provider).label;
+      text.textContent = `${profile.name} (${engine}, ${credentialLabel(profile.apiKey, [])})${inUse ? ' – in use' : ''}`;
+      const useBtn = document.createElement('button');
+      useBtn.className = 'secondary';
+      useBtn.textContent = 'Use';
+      useBtn.disabled = inUse;
+      useBtn.addEventListener('click', () => {
+        providerSelect.value = profile.provider;
+        updateProviderFields();
+        apiKeyInput.value = profile.apiKey;
+        cseIdInput.value = profile.cseId || '';
+        chrome.storage.local.set({ [SEARCH_PROVIDER_KEY]: profile.provider });
+        saveCredentialFields({ apiKey: profile.apiKey, cseId: profile.cseId || '' });
+        validateField('apiKey');
+        validateField('cseId');
+        loadCredentialProfiles().then(renderProfiles);
+      });
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'danger';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        const remaining = (await loadCredentialProfiles()).filter((candidate) => candidate.name !== profile.name);
+        await saveCredentialProfiles(remaining);
+      });
+      item.appendChild(text);
+      item.appendChild(useBtn);
+      item.appendChild(removeBtn);
+      profileList.appendChild(item);
     });
-    rawAssets.forEach((url) => {
-      const entry = { url };
-      const domainKey = matchDomain(url);
-      ensureGroup(domainKey).assets.push(entry);
+  };
+
+  // Saving under an existing name replaces that profile
+  saveProfileBtn.addEventListener('click', async () => {
+    const name = profileNameInput.value.trim();
+    const apiKey = apiKeyInput.value.trim();
+    const cseId = cseIdInput.value.trim();
+    if (!name) {
+      statusEl.textContent = 'Enter a name for the profile.';
+      return;
+    }
+    if (![validateField('apiKey'), validateField('cseId')].every(Boolean)) {
+      statusEl.textContent = searchProvider(providerSelect.value).needsEngineId
+        ? 'Enter the API key and CSE ID to save.'
+        : 'Enter the API key to save.';
+      return;
+    }
+    const profiles = (await loadCredentialProfiles()).filter((profile) => profile.name !== name);
+    profiles.push({ name, provider: providerSelect.value, apiKey, cseId });
+    try {
+      await saveCredentialProfiles(profiles);
+    } catch (err) {
+      statusEl.textContent = err.message;
+      return;
+    }
+    profileNameInput.value = '';
+    statusEl.textContent = `Saved profile "${name}".`;
+  });
+
+  // Keys are saved as they are typed, wherever the storage mode keeps
+  // them; the cost estimate reads the saved key
+  function saveCredentialFields(values) {
+    writeCredentialSettings(values)
+      .then(updateCostEstimate)
+      .catch((err) => {
+        statusEl.textContent = err.message;
+      });
+  }
+
+  // Fill the credential fields from storage, or ask for the passphrase
+  // while the vault is locked
+  async function showCredentials() {
+    const mode = await credentialStorageMode();
+    const unlocked = await credentialsUnlocked();
+    unlockPrompt.style.display = unlocked ? 'none' : '';
+    [apiKeyInput, cseIdInput, profileNameInput, saveProfileBtn].forEach((el) => {
+      el.disabled = !unlocked;
     });
-    // Ensure configured domains appear even if empty
-    domainConfigs.forEach((domainKey) => ensureGroup(domainKey));
-    const output = {};
-    domainOrder.forEach((domainKey) => {
-      const group = domainGroups[domainKey];
-      if (!group.pages.length && !group.assets.length && domainOrder.length === 1) {
-        return;
+    credentialStorageSelect.value = mode;
+    updatePassphraseRow();
+    lockBtn.style.display = mode === 'vault' && unlocked ? '' : 'none';
+    const saved = await readCredentialSettings(['apiKey', 'cseId']);
+    apiKeyInput.value = saved.apiKey || '';
+    cseIdInput.value = saved.cseId || '';
+    renderProfiles(await loadCredentialProfiles());
+    updateCostEstimate();
+  }
+  function updatePassphraseRow() {
+    passphraseRow.style.display = credentialStorageSelect.value === 'vault' ? '' : 'none';
+  }
+  Object.keys(CREDENTIAL_STORAGE_MODES).forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = CREDENTIAL_STORAGE_MODES[mode];
+    credentialStorageSelect.appendChild(option);
+  });
+  credentialStorageSelect.addEventListener('change', updatePassphraseRow);
+
+  // Picking the vault again sets a new passphrase
+  applyStorageBtn.addEventListener('click', async () => {
+    const mode = credentialStorageSelect.value;
+    if (mode === 'vault' && vaultPassphraseInput.value !== vaultPassphraseRepeatInput.value) {
+      statusEl.textContent = 'The passphrases do not match.';
+      return;
+    }
+    applyStorageBtn.disabled = true;
+    try {
+      await setCredentialStorageMode(mode, vaultPassphraseInput.value);
+      statusEl.textContent = `Credentials: ${CREDENTIAL_STORAGE_MODES[mode].toLowerCase()}.`;
+      vaultPassphraseInput.value = '';
+      vaultPassphraseRepeatInput.value = '';
+    } catch (err) {
+      statusEl.textContent = err.message;
+    }
+    applyStorageBtn.disabled = false;
+    showCredentials();
+  });
+  const unlock = async () => {
+    unlockBtn.disabled = true;
+    try {
+      await unlockCredentials(unlockPassphraseInput.value);
+      unlockPassphraseInput.value = '';
+      statusEl.textContent = '';
+    } catch (err) {
+      statusEl.textContent = err.message;
+    }
+    unlockBtn.disabled = false;
+    showCredentials();
+  };
+  unlockBtn.addEventListener('click', unlock);
+  unlockPassphraseInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') unlock();
+  });
+  lockBtn.addEventListener('click', async () => {
+    await lockCredentials();
+    showCredentials();
+  });
+  // Deleting takes a second click, as nothing can bring the keys back
+  forgetVaultBtn.addEventListener('click', async (event) => {
+    event.preventDefault();
+    if (!forgetVaultBtn.dataset.armed) {
+      forgetVaultBtn.dataset.armed = 'true';
+      forgetVaultBtn.textContent = 'Click again to delete the encrypted keys and profiles';
+      return;
+    }
+    delete forgetVaultBtn.dataset.armed;
+    forgetVaultBtn.textContent = 'Forgot the passphrase?';
+    await forgetCredentialVault();
+    statusEl.textContent = 'The encrypted credentials were deleted.';
+    showCredentials();
+  });
+  rotateKeysInput.addEventListener('change', () => {
+    chrome.storage.local.set({ [ROTATE_KEYS_KEY]: rotateKeysInput.checked });
+  });
+
+  // Pause, resume and cancel are handled by the service worker; the UI
+  // follows along through the fetchState change listener
+  const sendControl = (action) => {
+    pauseBtn.disabled = true;
+    resumeBtn.disabled = true;
+    cancelBtn.disabled = true;
+    chrome.runtime.sendMessage({ action }, (response) => {
+      pauseBtn.disabled = false;
+      resumeBtn.disabled = false;
+      cancelBtn.disabled = false;
+      if (chrome.runtime.lastError) {
+        statusEl.textContent = `Request failed: ${chrome.runtime.lastError.message}`;
+      } else if (response && response.error) {
+        statusEl.textContent = `Request failed: ${response.error}`;
       }
-      output[domainKey] = {
-        pages: group.pages,
-        assets: group.assets
-      };
     });
-    const blob = new Blob([JSON.stringify(output, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    // Build filename: index_<domains>_<timestamp>.json
-    const domains = Array.isArray(currentState.domains) && currentState.domains.length > 0 ? currentState.domains : ['domain'];
-    const namePart = domains
-      .map((d) => d.replace(/[^a-zA-Z0-9]/g, '_'))
-      .join('_')
-      .slice(0, 50); // limit length
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${namePart || 'index'}_${timestamp}.json`;
-    chrome.downloads.download({ url, filename, saveAs: true }, () => {
-      if (chrome.runtime.lastError) {
-        statusEl.textContent = `Download failed: ${chrome.runtime.lastError.message}`;
+  };
+  pauseBtn.addEventListener('click', () => sendControl('pauseFetch'));
+  resumeBtn.addEventListener('click', () => sendControl('resumeFetch'));
+  cancelBtn.addEventListener('click', () => sendControl('cancelFetch'));
+
+  // Download the harvested URLs in the chosen format when the user
+  // clicks download.  A paused run can be downloaded as it stands.  The
+  // results themselves are read from IndexedDB (result-store.js) a page
+  // at a time while the files are written.
+  downloadBtn.addEventListener('click', async () => {
+    if (!currentState || (currentState.running && !currentState.paused)) return;
+    statusEl.textContent = 'Reading results…';
+    let files;
+    try {
+      if (Array.isArray(currentState.pagesResults) || !currentState.runId) {
+        files = buildExportFiles(currentState, exportFormatSelect.value).map(({ content, ...file }) => ({ ...file, parts: [content] }));
       } else {
-        statusEl.textContent = 'Download started.';
+        const { runId, resultCount, ...progress } = currentState;
+        const { requests, sitemapReport } = await readRunDetails(runId);
+        const state = { ...progress, requestLog: requests.map((record) => record.entry) };
+        if (sitemapReport) state.sitemapReport = sitemapReport;
+        files = await streamExportFiles(state, exportFormatSelect.value, (after) => readResultPage(runId, { after }));
       }
+    } catch (err) {
+      statusEl.textContent = `Reading results failed: ${err.message}`;
+      return;
+    }
+    if (files.length === 0) {
+      statusEl.textContent = 'Nothing to export in this format.';
+      return;
+    }
+    let failure = '';
+    let remaining = files.length;
+    files.forEach((file) => {
+      const blob = new Blob(file.parts, { type: file.mimeType });
+      const url = URL.createObjectURL(blob);
+      // Only prompt for a location when there is a single file
+      chrome.downloads.download({ url, filename: file.filename, saveAs: files.length === 1 }, () => {
+        if (chrome.runtime.lastError) failure = chrome.runtime.lastError.message;
+        remaining--;
+        if (remaining > 0) return;
+        if (failure) {
+          statusEl.textContent = `Download failed: ${failure}`;
+        } else {
+          statusEl.textContent = files.length === 1 ? 'Download started.' : `Downloads started (${files.length} files).`;
+        }
+      });
     });
   });
 
+  // Completed runs are listed and compared on a page of their own
+  explorerBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('explorer.html') });
+  });
+  historyBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+  settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
   /**
    * Update the user interface to reflect the current state.  This
    * function hides or shows the progress bar, enables or disables
@@ -252,6 +915,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     const running = Boolean(currentState?.running);
     const retryScheduled = Boolean(currentState?.retryScheduled);
+    const paused = Boolean(currentState?.paused);
+    const active = running || retryScheduled || paused;
+    runControls.style.display = active ? 'flex' : 'none';
+    pauseBtn.style.display = active && !paused ? 'block' : 'none';
+    resumeBtn.style.display = paused ? 'block' : 'none';
+    cancelBtn.style.display = active ? 'block' : 'none';
     // Initialise UI element values from the current state
     if (!currentState) {
       progressContainer.style.display = 'none';
@@ -271,16 +940,17 @@ document.addEventListener('DOMContentLoaded', () => {
       progressEl.value = completed;
       statusEl.textContent = currentState.status || `Fetching… (${completed}/${total})`;
       startBtn.disabled = true;
-      downloadBtn.disabled = true;
+      const collected = storedResultCount(currentState);
+      downloadBtn.disabled = !paused || collected === 0;
     } else {
       // Not running; show completion message and enable download
       progressContainer.style.display = 'none';
       startBtn.disabled = false;
-      const totalUrls = (currentState.pagesResults?.length || 0) + (currentState.assetsResults?.length || 0);
+      const totalUrls = storedResultCount(currentState);
       statusEl.textContent = currentState.status || `Fetched ${totalUrls} URLs.`;
       downloadBtn.disabled = totalUrls === 0;
     }
-    if (running || retryScheduled || attemptLabelText) {
+    if (active || attemptLabelText) {
       startBtn.disabled = true;
     }
   }
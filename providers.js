@@ -0,0 +1,280 @@
+// providers.js
+// The search engines a harvest can run against.  Shared by the service
+// worker, which sends the requests, and the popup, options and history
+// pages, which offer and label the engines.  Every provider turns a
+// query and a page number into an HTTP request, reads the total result
+// count and the result items from the response, and classifies its
+// errors, so the harvest engine in harvest.js never needs to know
+// which engine it talks to.  Items are mapped to the shape of Custom
+// Search items (`link`, `title`, `snippet`, `mime`, `image`, ...), which
+// is what the rest of the extension stores and exports.
+//
+// A provider's `endpoint` is the base URL of its API; it can be
+// replaced in the settings (PROVIDER_ENDPOINTS_KEY), e.g. to run a
+// harvest against a local mock server.
+
+const PROVIDER_ENDPOINTS_KEY = 'providerEndpoints';
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * Read the error details most APIs return as JSON, if any.
+ * @param {Response} response
+ * @returns {Promise<?Object>}
+ */
+async function readErrorBody(response) {
+  try {
+    return await response.json();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The days a Custom Search style `dateRestrict` window (`d7`, `w2`,
+ * `m6`, `y1`) covers, for engines that take date ranges instead.
+ * Month and year windows that start on a day the target month lacks
+ * (31 March less one month) start on its last day instead.
+ * @param {string} dateRestrict
+ * @param {number} [now]
+ * @returns {?{from: string, to: string}} ISO dates, or null if the
+ *   window cannot be read.
+ */
+function dateRestrictRange(dateRestrict, now = Date.now()) {
+  const match = String(dateRestrict || '').match(/^([dwmy])(\d+)$/);
+  if (!match) return null;
+  const count = Number(match[2]);
+  const from = new Date(now);
+  if (match[1] === 'd') from.setUTCDate(from.getUTCDate() - count);
+  if (match[1] === 'w') from.setUTCDate(from.getUTCDate() - count * 7);
+  if (match[1] === 'm' || match[1] === 'y') {
+    const dayOfMonth = from.getUTCDate();
+    from.setUTCDate(1);
+    from.setUTCMonth(from.getUTCMonth() - (match[1] === 'm' ? count : count * 12));
+    const lastDay = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 0)).getUTCDate();
+    from.setUTCDate(Math.min(dayOfMonth, lastDay));
+  }
+  const day = (date) => date.toISOString().slice(0, 10);
+  return { from: day(from), to: day(new Date(now)) };
+}
+
+function httpError(response, detail, reason) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  if (reason) error.reason = reason;
+  return error;
+}
+
+// Each provider has:
+//  - `label`, `keyUrl` (where to get a key), `needsEngineId` (whether
+//    a search engine ID goes with the key) and `freeDailyQueries` (the
+//    free daily allowance, 0 when the plan is not counted per day)
+//  - `endpoint`: default base URL of the API
+//  - `searchParams`: the parameters of SEARCH_PARAMS (query.js) it can
+//    apply; others are refused when a run is started
+//  - `limits(images)`: `{ pageSize, maxResults }`, the results per
+//    request and the most results one query can page through
+//  - `buildRequest(options)`: `{ url, headers }` for one page, given
+//    `{ endpoint, apiKey, cseId, query, page, images, params }` with
+//    `page` counting from 1 and `params` named as in SEARCH_PARAMS
+//  - `parseTotal(data, images)` and `parseItems(data, images)`
+//  - `parseError(response)`: resolves to an Error whose `reason` is
+//    `dailyLimitExceeded` or `rateLimitExceeded` for quota and rate
+//    limits, so fetchWithBackoff can react to them
+const SEARCH_PROVIDERS = {
+  google: {
+    label: 'Google Custom Search',
+    keyUrl: 'https://developers.google.com/custom-search/v1/overview',
+    needsEngineId: true,
+    freeDailyQueries: 100,
+    endpoint: 'https://customsearch.googleapis.com/customsearch/v1',
+    searchParams: ['lr', 'gl', 'cr', 'dateRestrict', 'sort', 'safe'],
+    // The API never returns more than 100 results for a single query
+    // (10 pages of 10), no matter what `totalResults` says.
+    limits: () => ({ pageSize: 10, maxResults: 100 }),
+    buildRequest({ endpoint, apiKey, cseId, query, page, images, params: extra = {} }) {
+      const url = new URL(endpoint);
+      const params = new URLSearchParams({
+        key: apiKey,
+        cx: cseId,
+        q: query,
+        start: String(1 + (page - 1) * 10),
+        num: '10'
+      });
+      if (images) params.set('searchType', 'image');
+      // The parameters are Custom Search's own
+      Object.keys(extra).forEach((name) => params.set(name, extra[name]));
+      url.search = params.toString();
+      return { url: url.toString(), headers: {} };
+    },
+    parseTotal: (data) => parseInt((data.searchInformation && data.searchInformation.totalResults) || '0', 10) || 0,
+    parseItems: (data) => data.items || [],
+    async parseError(response) {
+      const errData = await readErrorBody(response);
+      let detail = '';
+      let reason = '';
+      if (errData && errData.error) {
+        detail = errData.error.message || '';
+        const first = Array.isArray(errData.error.errors) ? errData.error.errors[0] : null;
+        if (first && first.reason) {
+          reason = first.reason;
+        } else if (errData.error.reason) {
+          reason = errData.error.reason;
+        }
+      }
+      return httpError(response, detail, reason);
+    }
+  },
+  bing: {
+    label: 'Bing Web Search',
+    keyUrl: 'https://learn.microsoft.com/bing/search-apis/bing-web-search/create-bing-search-service-resource',
+    needsEngineId: false,
+    freeDailyQueries: 0,
+    endpoint: 'https://api.bing.microsoft.com/v7.0',
+    searchParams: ['gl', 'dateRestrict', 'safe'],
+    limits: (images) => (images ? { pageSize: 150, maxResults: 1000 } : { pageSize: 50, maxResults: 1000 }),
+    buildRequest({ endpoint, apiKey, query, page, images, params: extra = {} }) {
+      const { pageSize } = SEARCH_PROVIDERS.bing.limits(images);
+      const url = new URL(`${endpoint.replace(/\/+$/, '')}/${images ? 'images/search' : 'search'}`);
+      const params = new URLSearchParams({
+        q: query,
+        count: String(pageSize),
+        offset: String((page - 1) * pageSize),
+        textDecorations: 'false'
+      });
+      if (!images) params.set('responseFilter', 'Webpages');
+      const range = dateRestrictRange(extra.dateRestrict);
+      if (range) params.set('freshness', `${range.from}..${range.to}`);
+      if (extra.gl) params.set('cc', extra.gl.toUpperCase());
+      if (extra.safe) params.set('safeSearch', extra.safe === 'active' ? 'Strict' : 'Off');
+      url.search = params.toString();
+      return { url: url.toString(), headers: { 'Ocp-Apim-Subscription-Key': apiKey } };
+    },
+    parseTotal: (data, images) =>
+      (images ? data.totalEstimatedMatches : data.webPages && data.webPages.totalEstimatedMatches) || 0,
+    parseItems(data, images) {
+      if (!images) {
+        return ((data.webPages && data.webPages.value) || []).map((page) => ({
+          link: page.url,
+          title: page.name,
+          snippet: page.snippet
+        }));
+      }
+      return (data.value || []).map((image) => ({
+        link: image.contentUrl,
+        title: image.name,
+        mime: image.encodingFormat ? `image/${image.encodingFormat}` : undefined,
+        image: {
+          contextLink: image.hostPageUrl,
+          width: image.width,
+          height: image.height,
+          thumbnailLink: image.thumbnailUrl
+        }
+      }));
+    },
+    async parseError(response) {
+      const errData = await readErrorBody(response);
+      const error = (errData && (errData.error || (Array.isArray(errData.errors) && errData.errors[0]))) || {};
+      const detail = error.message || '';
+      let reason = error.code || '';
+      // Bing answers 403 once the plan's call volume is used up and 429
+      // when calls come too fast
+      if (response.status === 403 && /quota|call volume/i.test(detail)) reason = 'dailyLimitExceeded';
+      if (response.status === 429) reason = 'rateLimitExceeded';
+      return httpError(response, detail, reason);
+    }
+  },
+  brave: {
+    label: 'Brave Search',
+    keyUrl: 'https://api-dashboard.search.brave.com/',
+    needsEngineId: false,
+    freeDailyQueries: 0,
+    endpoint: 'https://api.search.brave.com/res/v1',
+    searchParams: ['lr', 'gl', 'dateRestrict', 'safe'],
+    // Web results page through at most 10 offsets of 20; image results
+    // come as a single page
+    limits: (images) => (images ? { pageSize: 100, maxResults: 100 } : { pageSize: 20, maxResults: 200 }),
+    buildRequest({ endpoint, apiKey, query, page, images, params: extra = {} }) {
+      const { pageSize } = SEARCH_PROVIDERS.brave.limits(images);
+      const url = new URL(`${endpoint.replace(/\/+$/, '')}/${images ? 'images/search' : 'web/search'}`);
+      const params = new URLSearchParams({ q: query, count: String(pageSize) });
+      if (!images) {
+        params.set('offset', String(page - 1));
+        params.set('result_filter', 'web');
+        const range = dateRestrictRange(extra.dateRestrict);
+        if (range) params.set('freshness', `${range.from}to${range.to}`);
+      }
+      if (extra.lr) params.set('search_lang', extra.lr.replace(/^lang_/i, '').toLowerCase());
+      if (extra.gl) params.set('country', extra.gl.toLowerCase());
+      if (extra.safe) params.set('safesearch', extra.safe === 'active' ? 'strict' : 'off');
+      url.search = params.toString();
+      return { url: url.toString(), headers: { 'X-Subscription-Token': apiKey, Accept: 'application/json' } };
+    },
+    // Brave reports no totals, only whether more results follow.  When
+    // they do, the total is put just past what a query can page
+    // through, so a deep harvest splits the query rather than stopping
+    // at `maxResults`; paging is capped at `maxResults` either way.
+    parseTotal(data, images) {
+      const { maxResults } = SEARCH_PROVIDERS.brave.limits(images);
+      const results = SEARCH_PROVIDERS.brave.parseItems(data, images);
+      return data.query && data.query.more_results_available ? maxResults + 1 : results.length;
+    },
+    parseItems(data, images) {
+      if (!images) {
+        return ((data.web && data.web.results) || []).map((page) => ({
+          link: page.url,
+          title: page.title,
+          snippet: page.description
+        }));
+      }
+      return (data.results || []).map((image) => ({
+        link: (image.properties && image.properties.url) || image.url,
+        title: image.title,
+        image: {
+          contextLink: image.url,
+          width: image.properties && image.properties.width,
+          height: image.properties && image.properties.height,
+          thumbnailLink: image.thumbnail && image.thumbnail.src
+        }
+      }));
+    },
+    async parseError(response) {
+      const errData = await readErrorBody(response);
+      const error = (errData && errData.error) || {};
+      let reason = error.code || '';
+      if (reason === 'QUOTA_LIMITED') reason = 'dailyLimitExceeded';
+      else if (response.status === 429) reason = 'rateLimitExceeded';
+      return httpError(response, error.detail || '', reason);
+    }
+  }
+};
+
+/**
+ * Look up a provider, falling back to Google for unknown names and for
+ * states and schedules saved before providers existed.
+ * @param {string} [name]
+ * @returns {Object}
+ */
+function searchProvider(name) {
+  return SEARCH_PROVIDERS[name] || SEARCH_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * How many pages a single query can have with a provider.
+ * @param {string} name
+ * @param {boolean} images
+ * @returns {number}
+ */
+function providerPagesPerQuery(name, images) {
+  const { pageSize, maxResults } = searchProvider(name).limits(images);
+  return Math.ceil(maxResults / pageSize);
+}
+
+/**
+ * The endpoint to send a provider's requests to: the one set in the
+ * settings, or the provider's default.
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function providerEndpoint(name) {
+  const data = await chrome.storage.local.get(PROVIDER_ENDPOINTS_KEY);
+  return (data[PROVIDER_ENDPOINTS_KEY] || {})[name] || searchProvider(name).endpoint;
+}
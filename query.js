@@ -0,0 +1,87 @@
+// query.js
+// Extra search terms and API parameters for a harvest.  By default every
+// request searches `site:<domain>` alone; a run can add keywords and
+// operators (`inurl:product`, `intitle:"annual report"`, `-inurl:tag`,
+// ...) to every query, a domain entry can add its own after a `|` (see
+// scope.js), and the Custom Search parameters in SEARCH_PARAMS narrow
+// the results further.  Shared by the popup, which offers and checks
+// them, and the service worker, which adds them to every request.
+
+const SEARCH_OPTIONS_KEY = 'searchOptions';
+
+// Operators checked when used in terms.  `site:` is only allowed as an
+// exclusion because the domain entry already decides the site.
+const QUERY_OPERATORS = ['site', 'inurl', 'intitle', 'intext', 'filetype', 'ext'];
+
+// Custom Search parameters a run can set, with the form their values
+// must have.  Providers list the ones they support (providers.js).
+const SEARCH_PARAMS = {
+  lr: { label: 'Language (lr)', placeholder: 'lang_de', pattern: /^lang_[a-z]{2}(-[a-z]{2})?$/i },
+  gl: { label: 'Country boost (gl)', placeholder: 'de', pattern: /^[a-z]{2}$/i },
+  cr: { label: 'Country filter (cr)', placeholder: 'countryDE', pattern: /^country[a-z]{2}$/i },
+  dateRestrict: { label: 'Date (dateRestrict)', placeholder: 'm1', pattern: /^[dwmy][1-9]\d*$/i },
+  sort: { label: 'Sort (sort)', placeholder: 'date', pattern: /^date(:[a-z](:[\w.-]+)*)?$/i },
+  safe: { label: 'SafeSearch (safe)', options: ['active', 'off'] }
+};
+
+/**
+ * Split search terms into single terms and operators, keeping quoted
+ * phrases together.
+ * @param {string} text E.g. `inurl:product -inurl:tag "in stock"`.
+ * @param {string} [context] Where the terms came from, for messages.
+ * @returns {string[]}
+ * @throws {Error} With a message fit for the user when a term is invalid.
+ */
+function parseQueryTerms(text, context = 'Query terms') {
+  const source = String(text || '').trim();
+  if ((source.match(/"/g) || []).length % 2) throw new Error(`${context}: close the quoted phrase.`);
+  const terms = source.match(/-?[^\s"]*"[^"]*"|\S+/g) || [];
+  terms.forEach((term) => {
+    const match = term.match(/^(-?)([a-z]+):(.*)$/i);
+    if (!match || !QUERY_OPERATORS.includes(match[2].toLowerCase())) return;
+    if (!match[3] || match[3] === '""') throw new Error(`${context}: "${term}" needs a value.`);
+    if (match[2].toLowerCase() === 'site' && !match[1]) {
+      throw new Error(`${context}: the domain sets site:, use -site: to leave hosts out.`);
+    }
+  });
+  return terms;
+}
+
+/**
+ * Check the search options of a run or schedule and return them in
+ * canonical form.
+ * @param {{terms?: string|string[], params?: Object}} [input]
+ * @param {string} [provider] Key of SEARCH_PROVIDERS; parameters it does
+ *   not support are refused.
+ * @returns {{terms: string[], params: Object}}
+ * @throws {Error} Describing the first problem found.
+ */
+function searchOptions(input = {}, provider) {
+  const options = input || {};
+  const terms = parseQueryTerms(Array.isArray(options.terms) ? options.terms.join(' ') : options.terms);
+  const params = {};
+  const supported = provider ? searchProvider(provider).searchParams : Object.keys(SEARCH_PARAMS);
+  Object.keys(options.params || {}).forEach((name) => {
+    const spec = SEARCH_PARAMS[name];
+    const value = String(options.params[name] ?? '').trim();
+    if (!value) return;
+    if (!spec) throw new Error(`Unknown search parameter: ${name}.`);
+    const valid = spec.options ? spec.options.includes(value) : spec.pattern.test(value);
+    if (!valid) throw new Error(`${spec.label}: "${value}" is not valid, e.g. ${spec.placeholder || spec.options.join(' or ')}.`);
+    if (!supported.includes(name)) throw new Error(`${searchProvider(provider).label} does not support ${spec.label}.`);
+    params[name] = value;
+  });
+  return { terms, params };
+}
+
+/**
+ * One-line summary of search options, e.g.
+ * `inurl:product -inurl:tag; lr=lang_de, dateRestrict=m1`.
+ * @param {{terms: string[], params: Object}} [options]
+ * @returns {string} '' when there are none.
+ */
+function describeSearchOptions(options) {
+  if (!options) return '';
+  const params = Object.keys(options.params || {}).map((name) => `${name}=${options.params[name]}`);
+  return [(options.terms || []).join(' '), params.join(', ')].filter(Boolean).join('; ');
+}
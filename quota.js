@@ -0,0 +1,148 @@
+// quota.js
+// Counts the Custom Search queries each API key has spent today and
+// enforces the user's daily query budget.  Loaded into the service
+// worker with importScripts.  Google resets the quota at midnight
+// Pacific time, so days are counted in that time zone, for the keys of
+// other search providers too.  Keys are only stored as a short hash.
+
+const QUOTA_USAGE_KEY = 'quotaUsage';
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const HOUR_MS = 60 * 60 * 1000;
+
+const quotaDayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: QUOTA_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * The quota day a moment falls in, as `YYYY-MM-DD` in Pacific time.
+ * @param {number} [timestamp]
+ * @returns {string}
+ */
+function quotaDay(timestamp = Date.now()) {
+  return quotaDayFormat.format(new Date(timestamp));
+}
+
+/**
+ * When the quota day containing `now` ends.  Pacific offsets are whole
+ * hours, so midnight there is always on a UTC hour; stepping an hour at
+ * a time also gets the 23 and 25 hour days around DST changes right.
+ * @param {number} [now]
+ * @returns {number} Timestamp in milliseconds.
+ */
+function nextQuotaReset(now = Date.now()) {
+  const today = quotaDay(now);
+  let reset = Math.floor(now / HOUR_MS) * HOUR_MS;
+  do {
+    reset += HOUR_MS;
+  } while (quotaDay(reset) === today);
+  return reset;
+}
+
+// Runs send requests from several lanes at once; usage updates read and
+// write the whole count, so they take turns
+let quotaUpdates = Promise.resolve();
+
+function serialiseQuotaUpdate(update) {
+  const turn = quotaUpdates.then(update);
+  quotaUpdates = turn.catch(() => {});
+  return turn;
+}
+
+async function apiKeyFingerprint(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return Array.from(new Uint8Array(digest).slice(0, 8), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * How many queries an API key has spent in the current quota day.
+ * @param {string} apiKey
+ * @returns {Promise<number>}
+ */
+async function queriesSpentToday(apiKey) {
+  const fingerprint = await apiKeyFingerprint(apiKey);
+  const data = await chrome.storage.local.get(QUOTA_USAGE_KEY);
+  const usage = (data[QUOTA_USAGE_KEY] || {})[fingerprint];
+  return usage && usage.day === quotaDay() ? usage.spent : 0;
+}
+
+/**
+ * The daily query budget set in the popup.
+ * @returns {Promise<{limit: number, action: 'stop'|'defer'}>} `limit`
+ *   is 0 when there is no budget.
+ */
+async function loadQueryBudget() {
+  const data = await chrome.storage.local.get(['queryBudget', 'budgetAction']);
+  const limit = parseInt(data.queryBudget, 10);
+  return {
+    limit: limit > 0 ? limit : 0,
+    action: data.budgetAction === 'defer' ? 'defer' : 'stop'
+  };
+}
+
+/**
+ * Count one query against an API key before it is sent.  Throws an
+ * error with reason `budgetExhausted` instead when that would exceed
+ * the daily budget; the error's `resetAt` and `defer` say when the
+ * budget frees up and whether the user wants to wait for that.
+ * @param {string} apiKey
+ */
+function reserveQuery(apiKey) {
+  return serialiseQuotaUpdate(() => reserveQueryNow(apiKey));
+}
+
+async function reserveQueryNow(apiKey) {
+  const fingerprint = await apiKeyFingerprint(apiKey);
+  const data = await chrome.storage.local.get(QUOTA_USAGE_KEY);
+  const today = quotaDay();
+  const usage = {};
+  // Only today's counts matter, so older days are dropped as we go
+  Object.entries(data[QUOTA_USAGE_KEY] || {}).forEach(([key, value]) => {
+    if (value.day === today) usage[key] = value;
+  });
+  const spent = usage[fingerprint] ? usage[fingerprint].spent : 0;
+  const budget = await loadQueryBudget();
+  if (budget.limit && spent >= budget.limit) {
+    const err = new Error(`Daily query budget of ${budget.limit} reached.`);
+    err.reason = 'budgetExhausted';
+    err.resetAt = nextQuotaReset();
+    err.defer = budget.action === 'defer';
+    throw err;
+  }
+  usage[fingerprint] = { ...usage[fingerprint], day: today, spent: spent + 1 };
+  await chrome.storage.local.set({ [QUOTA_USAGE_KEY]: usage });
+}
+
+/**
+ * Remember that Google refused an API key for the rest of today
+ * (`dailyLimitExceeded`), so runs rotating through several keys start
+ * with one that still has quota.
+ * @param {string} apiKey
+ */
+function markKeyExhausted(apiKey) {
+  return serialiseQuotaUpdate(() => markKeyExhaustedNow(apiKey));
+}
+
+async function markKeyExhaustedNow(apiKey) {
+  const fingerprint = await apiKeyFingerprint(apiKey);
+  const data = await chrome.storage.local.get(QUOTA_USAGE_KEY);
+  const usage = data[QUOTA_USAGE_KEY] || {};
+  const today = quotaDay();
+  const spent = usage[fingerprint] && usage[fingerprint].day === today ? usage[fingerprint].spent : 0;
+  usage[fingerprint] = { day: today, spent, exhausted: true };
+  await chrome.storage.local.set({ [QUOTA_USAGE_KEY]: usage });
+}
+
+/**
+ * Whether Google refused an API key earlier today.
+ * @param {string} apiKey
+ * @returns {Promise<boolean>}
+ */
+async function keyExhaustedToday(apiKey) {
+  const fingerprint = await apiKeyFingerprint(apiKey);
+  const data = await chrome.storage.local.get(QUOTA_USAGE_KEY);
+  const usage = (data[QUOTA_USAGE_KEY] || {})[fingerprint];
+  return Boolean(usage && usage.day === quotaDay() && usage.exhausted);
+}
@@ -0,0 +1,120 @@
+// rate-limit.js
+// Paces the search requests of a run.  Every API key gets a token
+// bucket: each request takes a token, tokens come back one per
+// interval, and up to `burst` of them build up while the key is idle.
+// The lanes a run harvests side by side (harvest.js) share their
+// key's bucket, so however many domains are in flight, requests never
+// go out faster than the bucket allows.  A rate-limit answer slows the
+// bucket down towards `maxIntervalMs`; every success speeds it up again
+// towards `minIntervalMs`.  Loaded into the service worker with
+// importScripts and by the options page, which edits the settings.
+
+const RATE_LIMITS_KEY = 'rateLimits';
+
+// Google Custom Search allows 100 queries per minute by default, one
+// every 600 ms
+const DEFAULT_RATE_LIMITS = { minIntervalMs: 600, maxIntervalMs: 5000, burst: 5 };
+
+// What the options page offers, with the bounds a setting must be in
+const RATE_LIMIT_FIELDS = {
+  minIntervalMs: { label: 'Fastest interval (ms)', min: 50, max: 60000 },
+  maxIntervalMs: { label: 'Slowest interval (ms)', min: 50, max: 300000 },
+  burst: { label: 'Burst (requests)', min: 1, max: 50 }
+};
+
+/**
+ * Check rate limit settings and fill in the defaults for missing ones.
+ * @param {Object} [input]
+ * @returns {{minIntervalMs: number, maxIntervalMs: number, burst: number}}
+ * @throws {Error} With a message fit for the user when a setting is invalid.
+ */
+function rateLimitSettings(input = {}) {
+  const settings = {};
+  Object.keys(RATE_LIMIT_FIELDS).forEach((name) => {
+    const field = RATE_LIMIT_FIELDS[name];
+    const raw = (input || {})[name];
+    const value = raw === undefined || raw === null || raw === '' ? DEFAULT_RATE_LIMITS[name] : Number(raw);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`${field.label}: enter a whole number from ${field.min} to ${field.max}.`);
+    }
+    settings[name] = value;
+  });
+  if (settings.maxIntervalMs < settings.minIntervalMs) {
+    throw new Error('The slowest interval cannot be shorter than the fastest one.');
+  }
+  return settings;
+}
+
+/**
+ * The rate limit settings saved on the options page, or the defaults
+ * when none (or no longer valid ones) are saved.
+ * @returns {Promise<Object>}
+ */
+async function loadRateLimits() {
+  const data = await chrome.storage.local.get(RATE_LIMITS_KEY);
+  try {
+    return rateLimitSettings(data[RATE_LIMITS_KEY]);
+  } catch (e) {
+    return { ...DEFAULT_RATE_LIMITS };
+  }
+}
+
+/**
+ * Create a full token bucket running at the fastest interval.
+ * @param {Object} settings Result of rateLimitSettings.
+ * @returns {Object}
+ */
+function createTokenBucket(settings) {
+  return {
+    settings,
+    interval: settings.minIntervalMs,
+    tokens: settings.burst,
+    updatedAt: Date.now(),
+    // Waiting requests take their tokens one after the other
+    queue: Promise.resolve()
+  };
+}
+
+function refillBucket(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.settings.burst, bucket.tokens + (now - bucket.updatedAt) / bucket.interval);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Wait until the bucket has a token and take it.
+ * @param {Object} bucket
+ * @returns {Promise<void>}
+ */
+function takeToken(bucket) {
+  const turn = bucket.queue.then(async () => {
+    refillBucket(bucket);
+    while (bucket.tokens < 1) {
+      await new Promise((resolve) => setTimeout(resolve, Math.ceil((1 - bucket.tokens) * bucket.interval)));
+      refillBucket(bucket);
+    }
+    bucket.tokens -= 1;
+  });
+  bucket.queue = turn;
+  return turn;
+}
+
+/**
+ * Slow the bucket down after a rate-limit answer, and drop the tokens
+ * it saved up so the requests waiting on it do not go out in a burst.
+ * @param {Object} bucket
+ */
+function slowDownBucket(bucket) {
+  refillBucket(bucket);
+  bucket.interval = Math.min(bucket.settings.maxIntervalMs, Math.floor(bucket.interval * 1.5));
+  bucket.tokens = Math.min(bucket.tokens, 0);
+}
+
+/**
+ * Speed the bucket up a little after a successful request.
+ * @param {Object} bucket
+ */
+function speedUpBucket(bucket) {
+  refillBucket(bucket);
+  bucket.interval = Math.max(bucket.settings.minIntervalMs, Math.floor(bucket.interval * 0.9));
+}
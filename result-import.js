@@ -0,0 +1,254 @@
+// result-import.js
+// Reads exported results back in, so archived exports and exports
+// shared by teammates can be compared with runs, opened in the
+// explorer or merged into the current results.  Accepts the grouped
+// JSON export (`{ domain: { pages, images, ..., status?, errors?,
+// sitemap? } }`, including the older `{ domain: { pages, assets } }`
+// with plain URL strings) and the NDJSON export.  Fields this version
+// does not know are kept with each URL's metadata, so exports from
+// newer versions still load.  Loaded by the history page, which reads
+// the files, and the service worker, which merges them.
+
+// Keys of an exported URL entry that are not metadata
+const IMPORT_ENTRY_FIELDS = ['url', 'domain', 'category', 'statusCheck'];
+const IMPORT_DOMAIN_STATUSES = ['done', 'partial', 'skipped'];
+
+function importPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function importUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check one exported URL entry: a URL string, or an object with a
+ * `url` and any metadata.
+ * @param {*} entry
+ * @param {string} where Where the entry is, for the error message.
+ * @returns {{url: string, meta: Object, statusCheck: ?Object}}
+ * @throws {Error} With a message fit for the user.
+ */
+function readImportEntry(entry, where) {
+  if (typeof entry === 'string') entry = { url: entry };
+  if (!importPlainObject(entry) || typeof entry.url !== 'string') {
+    throw new Error(`${where} is neither a URL nor an object with a "url".`);
+  }
+  if (!importUrl(entry.url)) throw new Error(`${where}: "${entry.url}" is not an http(s) URL.`);
+  if (entry.statusCheck !== undefined && !importPlainObject(entry.statusCheck)) {
+    throw new Error(`${where}: "statusCheck" must be an object.`);
+  }
+  const meta = {};
+  Object.keys(entry)
+    .filter((key) => !IMPORT_ENTRY_FIELDS.includes(key))
+    .forEach((key) => {
+      meta[key] = entry[key];
+    });
+  return { url: entry.url, meta, statusCheck: entry.statusCheck || null };
+}
+
+/**
+ * Parse an export into domain groups, checking it on the way.
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {Object} Grouped export of the form buildGroupedExport
+ *   returns, with entries read by readImportEntry.
+ * @throws {Error} With a message fit for the user.
+ */
+function readImportGroups(text, fileName) {
+  const groups = {};
+  const groupOf = (domain) => {
+    groups[domain] = groups[domain] || {};
+    return groups[domain];
+  };
+  if (/\.ndjson$/i.test(fileName)) {
+    String(text)
+      .split(/\r?\n/)
+      .forEach((line, index) => {
+        if (!line.trim()) return;
+        let row;
+        try {
+          row = JSON.parse(line);
+        } catch (e) {
+          throw new Error(`Line ${index + 1} is not valid JSON.`);
+        }
+        if (!importPlainObject(row) || typeof row.domain !== 'string' || typeof row.category !== 'string') {
+          throw new Error(`Line ${index + 1} needs a "domain" and a "category".`);
+        }
+        const group = groupOf(row.domain);
+        group[row.category] = group[row.category] || [];
+        group[row.category].push(readImportEntry(row, `Line ${index + 1}`));
+      });
+    return groups;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (!importPlainObject(data)) throw new Error('Expected an object with one entry per domain.');
+  Object.keys(data).forEach((domain) => {
+    const input = data[domain];
+    if (!importPlainObject(input)) throw new Error(`"${domain}" must map to an object of categories.`);
+    const group = groupOf(domain);
+    Object.keys(input).forEach((key) => {
+      const value = input[key];
+      if (key === 'status') {
+        if (!IMPORT_DOMAIN_STATUSES.includes(value)) throw new Error(`"${domain}": unknown status "${value}".`);
+        group.status = value;
+      } else if (key === 'errors') {
+        if (!Array.isArray(value)) throw new Error(`"${domain}": "errors" must be a list.`);
+        group.errors = value.map(String);
+      } else if (key === 'sitemap') {
+        if (!importPlainObject(value)) throw new Error(`"${domain}": "sitemap" must be an object.`);
+        group.sitemap = value;
+      } else if (Array.isArray(value)) {
+        group[key] = value.map((entry, index) => readImportEntry(entry, `"${domain}" → "${key}" entry ${index + 1}`));
+      }
+      // Anything else is left to the versions that wrote it
+    });
+  });
+  return groups;
+}
+
+/**
+ * Turn an exported file into a finished fetch state, as if the run that
+ * wrote it had just completed.  The domains are the file's domain keys
+ * that are host names; each URL keeps the category and metadata it was
+ * exported with.  The state has no classification rules; its exports
+ * list the file's categories in the order of the file, kept in
+ * `imported.categories` (see exportCategories).
+ * @param {string} text The file's content.
+ * @param {string} fileName
+ * @returns {Object} The fetch state, with `imported: { fileName,
+ *   importedAt, categories }`.
+ * @throws {Error} With a message fit for the user when the file cannot
+ *   be read or does not hold an export.
+ */
+function parseResultsImport(text, fileName) {
+  const groups = readImportGroups(text, fileName);
+  const importedAt = Date.now();
+  const state = {
+    imported: { fileName, importedAt },
+    domains: [],
+    scopes: [],
+    provider: DEFAULT_PROVIDER,
+    search: null,
+    classification: null,
+    pagesResults: [],
+    assetsResults: [],
+    resultCategories: {},
+    resultMeta: {},
+    requestLog: [],
+    domainErrors: {},
+    domainSummary: {},
+    running: false,
+    paused: false,
+    retryScheduled: false,
+    totalSteps: 0,
+    completedSteps: 0,
+    startedAt: importedAt,
+    attemptLabel: '',
+    attemptError: ''
+  };
+  const categories = [PAGE_CATEGORY];
+  const engines = {};
+  Object.keys(groups).forEach((key) => {
+    const group = groups[key];
+    const domain = toHostname(key);
+    if (domain && !state.domains.includes(domain)) {
+      state.domains.push(domain);
+      state.scopes.push(parseDomainScope(domain));
+      if (group.status) state.domainSummary[domain] = group.status;
+      if (group.errors) state.domainErrors[domain] = group.errors;
+      if (group.sitemap) {
+        state.sitemapReport = state.sitemapReport || {};
+        const urls = (list) => (Array.isArray(list) ? list : []).map((entry) => (entry && entry.url) || entry).filter(importUrl);
+        state.sitemapReport[domain] = {
+          sources: Array.isArray(group.sitemap.sources) ? group.sitemap.sources : [],
+          errors: Array.isArray(group.sitemap.errors) ? group.sitemap.errors : [],
+          truncated: Boolean(group.sitemap.truncated),
+          inSitemapNotIndexed: urls(group.sitemap.inSitemapNotIndexed),
+          indexedNotInSitemap: urls(group.sitemap.indexedNotInSitemap),
+          inBoth: urls(group.sitemap.inBoth)
+        };
+      }
+    }
+    Object.keys(group)
+      .filter((category) => !RESERVED_CATEGORY_NAMES.includes(category))
+      .forEach((category) => {
+        if (!categories.includes(category)) categories.push(category);
+        group[category].forEach(({ url, meta, statusCheck }) => {
+          // A URL listed twice keeps its first entry
+          if (state.resultCategories[url]) return;
+          (category === PAGE_CATEGORY ? state.pagesResults : state.assetsResults).push(url);
+          state.resultCategories[url] = category;
+          state.resultMeta[url] = meta;
+          if (statusCheck) {
+            state.urlStatus = state.urlStatus || {};
+            state.urlStatus[url] = statusCheck;
+          }
+          if (SEARCH_PROVIDERS[meta.engine]) engines[meta.engine] = (engines[meta.engine] || 0) + 1;
+        });
+      });
+  });
+  const total = state.pagesResults.length + state.assetsResults.length;
+  if (!total) throw new Error(`${fileName} holds no URLs.`);
+  // Exports only know pages and assets when they were written before
+  // classification rules
+  state.imported.categories = categories.length > 1 ? categories : [PAGE_CATEGORY, 'assets'];
+  const engine = Object.keys(engines).sort((a, b) => engines[b] - engines[a])[0];
+  if (engine) state.provider = engine;
+  state.status = `Imported ${total} URLs from ${fileName}.`;
+  return state;
+}
+
+/**
+ * Add the URLs of an imported state that a fetch state lacks, with
+ * their categories, metadata and status checks, and the domains it
+ * lacks.  URLs the state already has keep what it knows about them.
+ * @param {Object} state A fetch state holding its results; changed in place.
+ * @param {Object} imported Result of parseResultsImport.
+ * @returns {string[]} The URLs added.
+ */
+function mergeImportedResults(state, imported) {
+  const added = [];
+  state.resultCategories = state.resultCategories || {};
+  state.resultMeta = state.resultMeta || {};
+  const known = new Set(state.pagesResults.concat(state.assetsResults));
+  const addUrls = (urls, target) => {
+    urls.forEach((url) => {
+      if (known.has(url)) return;
+      known.add(url);
+      target.push(url);
+      state.resultCategories[url] = imported.resultCategories[url];
+      state.resultMeta[url] = imported.resultMeta[url];
+      if (imported.urlStatus && imported.urlStatus[url]) {
+        state.urlStatus = state.urlStatus || {};
+        state.urlStatus[url] = imported.urlStatus[url];
+      }
+      added.push(url);
+    });
+  };
+  addUrls(imported.pagesResults, state.pagesResults);
+  addUrls(imported.assetsResults, state.assetsResults);
+  const domains = (state.domains || []).slice();
+  const scopes = stateScopes(state).slice();
+  imported.domains.forEach((domain, index) => {
+    if (domains.includes(domain)) return;
+    domains.push(domain);
+    scopes.push(imported.scopes[index]);
+    if (imported.domainSummary[domain]) {
+      state.domainSummary = { ...(state.domainSummary || {}), [domain]: imported.domainSummary[domain] };
+    }
+  });
+  state.domains = domains;
+  state.scopes = scopes;
+  return added;
+}
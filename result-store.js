@@ -0,0 +1,421 @@
+// result-store.js
+// Keeps the results of the current run in IndexedDB, so that the
+// `fetchState` in chrome.storage only carries the run's progress and
+// status.  The service worker appends what changed every time it saves
+// the state; the popup and the explorer read the results back a page
+// at a time.  Loaded into the service worker with importScripts and by
+// the popup and explorer pages.
+//
+// Object stores of the database:
+//  - `results`: one record per stored URL, keyed by `[runId, url]`:
+//    `{ runId, url, seq, version, domain, page, category, meta?,
+//    status? }`.  `seq` is the order URLs were found in, `version`
+//    grows with every write of the record, `domain` is the domain the
+//    exports group the URL under (resultDomainMatcher in export.js),
+//    `page` whether it belongs to `pagesResults`, and `meta` and
+//    `status` are its entries in `resultMeta` and `urlStatus`.  Indexes:
+//    `order` ([runId, seq]), `domain` ([runId, domain, seq]) and
+//    `changes` ([runId, version]).
+//  - `requests`: the request log, `{ runId, n, entry }` keyed by
+//    `[runId, n]` in the order requests were sent.
+//  - `runs`: the parts of a run too large for the progress state,
+//    keyed by `runId`: its sitemap report.
+// Only the current run is kept; starting a new one clears the stores.
+// Completed runs live on in the history (history-store.js).
+
+const RESULT_DB_NAME = 'indexedPagesFinder';
+const RESULT_DB_VERSION = 1;
+// Records read per request when paging through a run
+const RESULT_PAGE_SIZE = 1000;
+// Fields of a fetch state that are stored here rather than in chrome.storage
+const RESULT_STATE_FIELDS = [
+  'pagesResults',
+  'assetsResults',
+  'resultCategories',
+  'resultMeta',
+  'urlStatus',
+  'requestLog',
+  'sitemapReport'
+];
+
+let resultDbPromise = null;
+
+function openResultDb() {
+  if (!resultDbPromise) {
+    resultDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(RESULT_DB_NAME, RESULT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const results = db.createObjectStore('results', { keyPath: ['runId', 'url'] });
+        results.createIndex('order', ['runId', 'seq']);
+        results.createIndex('domain', ['runId', 'domain', 'seq']);
+        results.createIndex('changes', ['runId', 'version']);
+        db.createObjectStore('requests', { keyPath: ['runId', 'n'] });
+        db.createObjectStore('runs', { keyPath: 'runId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call try again
+    resultDbPromise.catch(() => {
+      resultDbPromise = null;
+    });
+  }
+  return resultDbPromise;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Saving results was aborted.'));
+  });
+}
+
+/**
+ * The current value of the clock record versions come from.  Versions
+ * are taken from the time, so they keep growing across service worker
+ * restarts.  A flush is numbered only after the previous one committed
+ * (see flushResults), so every record committed later has a higher
+ * version than the ones already stored.
+ * @returns {number}
+ */
+function resultStoreClock() {
+  return Date.now() * 1000;
+}
+
+let lastResultVersion = 0;
+
+function nextResultVersion() {
+  lastResultVersion = Math.max(lastResultVersion + 1, resultStoreClock());
+  return lastResultVersion;
+}
+
+// What each state has not written yet: URLs whose record changed, log
+// entries not yet appended, new URLs not yet committed (left out of
+// `resultCount`), and the order its URLs were found in.  `writing` is
+// the flush in progress; the next one waits for it.
+const resultJournals = new WeakMap();
+// Key of each request log entry already written or queued
+const requestNumbers = new WeakMap();
+
+function createResultJournal() {
+  return {
+    seqs: new Map(),
+    nextSeq: 0,
+    dirty: new Set(),
+    pending: new Set(),
+    requests: [],
+    sitemapCount: 0,
+    writing: Promise.resolve()
+  };
+}
+
+function resultJournal(state) {
+  let journal = resultJournals.get(state);
+  if (!journal) {
+    // A copy of a loaded state (see cancelHarvest) only changes its
+    // progress, so its URLs are known and need no writing
+    journal = createResultJournal();
+    (state.pagesResults || []).concat(state.assetsResults || []).forEach((url) => {
+      journal.seqs.set(url, journal.nextSeq++);
+    });
+    journal.sitemapCount = Object.keys(state.sitemapReport || {}).length;
+    resultJournals.set(state, journal);
+  }
+  return journal;
+}
+
+/**
+ * Note that a URL of the state was stored or changed, to be written on
+ * the next flushResults.
+ * @param {Object} state
+ * @param {string} url
+ */
+function noteStoredResult(state, url) {
+  const journal = resultJournal(state);
+  if (!journal.seqs.has(url)) {
+    journal.seqs.set(url, journal.nextSeq++);
+    journal.pending.add(url);
+  }
+  journal.dirty.add(url);
+}
+
+/**
+ * Note a new request log entry of the state, to be appended on the next
+ * flushResults.
+ * @param {Object} state
+ * @param {Object} entry
+ */
+function noteLoggedRequest(state, entry) {
+  resultJournal(state).requests.push(entry);
+}
+
+/**
+ * Clear the stores for a new run.
+ * @returns {Promise<void>}
+ */
+async function clearResultStore() {
+  const db = await openResultDb();
+  const transaction = db.transaction(['results', 'requests', 'runs'], 'readwrite');
+  ['results', 'requests', 'runs'].forEach((name) => transaction.objectStore(name).clear());
+  await transactionDone(transaction);
+}
+
+/**
+ * Write what changed in a state since the last flush: the records of
+ * the URLs noted with noteStoredResult, new request log entries, and
+ * the sitemap report once it has grown.  Log entries the state has
+ * dropped from the front of its request log are deleted.  Flushes of a
+ * state run one after the other; what a failed flush held stays in the
+ * journal for the next one.
+ * @param {Object} state A state with a `runId`.
+ * @returns {Promise<void>}
+ */
+function flushResults(state) {
+  const journal = resultJournal(state);
+  const flush = journal.writing.then(() => writeResultJournal(state, journal));
+  journal.writing = flush.catch(() => {});
+  return flush;
+}
+
+async function writeResultJournal(state, journal) {
+  const sitemapCount = Object.keys(state.sitemapReport || {}).length;
+  if (!journal.dirty.size && !journal.requests.length && sitemapCount === journal.sitemapCount) return;
+  const { runId } = state;
+  const matchDomain = resultDomainMatcher(state);
+  const categories = state.resultCategories || {};
+  const meta = state.resultMeta || {};
+  const status = state.urlStatus || {};
+  // Only URLs without a category (states from before classification
+  // rules) need the page list, looked up once per flush
+  let pageUrls = null;
+  const isPage = (url) => {
+    if (categories[url]) return categories[url] === PAGE_CATEGORY;
+    pageUrls = pageUrls || new Set(state.pagesResults);
+    return pageUrls.has(url);
+  };
+  const records = Array.from(journal.dirty, (url) => {
+    const page = isPage(url);
+    const record = {
+      runId,
+      url,
+      seq: journal.seqs.get(url),
+      version: nextResultVersion(),
+      domain: matchDomain(url, meta[url]),
+      page,
+      category: categories[url] || (page ? PAGE_CATEGORY : 'assets')
+    };
+    if (meta[url]) record.meta = meta[url];
+    if (status[url]) record.status = status[url];
+    return record;
+  });
+  const requests = journal.requests.map((entry) => {
+    const n = nextResultVersion();
+    requestNumbers.set(entry, n);
+    return { runId, n, entry };
+  });
+  const oldestKept = (state.requestLog || []).length ? requestNumbers.get(state.requestLog[0]) : undefined;
+  const sitemapChanged = sitemapCount !== journal.sitemapCount;
+  // Changes noted while this batch is written go into fresh sets
+  const batch = { dirty: journal.dirty, requests: journal.requests };
+  journal.dirty = new Set();
+  journal.requests = [];
+  try {
+    const db = await openResultDb();
+    const transaction = db.transaction(['results', 'requests', 'runs'], 'readwrite');
+    const resultStore = transaction.objectStore('results');
+    records.forEach((record) => resultStore.put(record));
+    const requestStore = transaction.objectStore('requests');
+    requests.forEach((record) => requestStore.put(record));
+    if (oldestKept !== undefined) requestStore.delete(IDBKeyRange.bound([runId, 0], [runId, oldestKept], false, true));
+    if (sitemapChanged) transaction.objectStore('runs').put({ runId, sitemapReport: state.sitemapReport });
+    await transactionDone(transaction);
+  } catch (err) {
+    batch.dirty.forEach((url) => journal.dirty.add(url));
+    journal.requests = batch.requests.concat(journal.requests);
+    throw err;
+  }
+  journal.sitemapCount = sitemapCount;
+  batch.dirty.forEach((url) => journal.pending.delete(url));
+}
+
+/**
+ * The state as saved in chrome.storage: everything but the results,
+ * which are in IndexedDB, plus the number of URLs written there.
+ * @param {Object} state
+ * @returns {Object}
+ */
+function progressState(state) {
+  const progress = { resultCount: storedResultCount(state) };
+  Object.keys(state).forEach((key) => {
+    if (!RESULT_STATE_FIELDS.includes(key)) progress[key] = state[key];
+  });
+  return progress;
+}
+
+/**
+ * How many URLs of a state are stored, whether it holds its results or
+ * only its progress.  URLs not yet written to IndexedDB are left out.
+ * @param {Object} state
+ * @returns {number}
+ */
+function storedResultCount(state) {
+  if (Array.isArray(state.pagesResults)) {
+    const journal = resultJournals.get(state);
+    return state.pagesResults.length + (state.assetsResults || []).length - (journal ? journal.pending.size : 0);
+  }
+  return state.resultCount || 0;
+}
+
+/**
+ * Read a page of a run's results in the order they were found,
+ * optionally only those grouped under one domain.
+ * @param {string} runId
+ * @param {{domain?: string, after?: number, limit?: number}} [options]
+ *   `after` is the `next` of the previous page.
+ * @returns {Promise<{records: Object[], next: ?number}>} `next` is null
+ *   on the last page.
+ */
+async function readResultPage(runId, { domain, after = -1, limit = RESULT_PAGE_SIZE } = {}) {
+  const db = await openResultDb();
+  const store = db.transaction('results').objectStore('results');
+  const range =
+    domain === undefined
+      ? IDBKeyRange.bound([runId, after], [runId, Infinity], true, false)
+      : IDBKeyRange.bound([runId, domain, after], [runId, domain, Infinity], true, false);
+  const records = await requestResult(store.index(domain === undefined ? 'order' : 'domain').getAll(range, limit));
+  return { records, next: records.length === limit ? records[records.length - 1].seq : null };
+}
+
+/**
+ * The highest version among the stored records of a run; read it before
+ * reading the run in full, then readResultChanges from it to catch
+ * every record committed since.
+ * @param {string} runId
+ * @returns {Promise<number>} 0 when nothing is stored yet.
+ */
+async function latestResultVersion(runId) {
+  const db = await openResultDb();
+  const index = db.transaction('results').objectStore('results').index('changes');
+  const cursor = await requestResult(index.openCursor(IDBKeyRange.bound([runId, 0], [runId, Infinity]), 'prev'));
+  return cursor ? cursor.value.version : 0;
+}
+
+/**
+ * Read the records of a run written after a version, e.g. the result of
+ * latestResultVersion when the run was last read.
+ * @param {string} runId
+ * @param {number} since
+ * @returns {Promise<{records: Object[], version: number}>} The records in
+ *   the order they were found, and the version to pass next time.
+ */
+async function readResultChanges(runId, since) {
+  const db = await openResultDb();
+  const records = [];
+  let version = since;
+  for (;;) {
+    const store = db.transaction('results').objectStore('results');
+    const range = IDBKeyRange.bound([runId, version], [runId, Infinity], true, false);
+    const page = await requestResult(store.index('changes').getAll(range, RESULT_PAGE_SIZE));
+    page.forEach((record) => records.push(record));
+    if (page.length) version = page[page.length - 1].version;
+    if (page.length < RESULT_PAGE_SIZE) break;
+  }
+  // A record written twice is read once, with its latest version
+  const latest = new Map(records.map((record) => [record.url, record]));
+  return { records: Array.from(latest.values()).sort((a, b) => a.seq - b.seq), version };
+}
+
+/**
+ * Add result records to a state that holds its results: new URLs are
+ * appended to `pagesResults` or `assetsResults`, known ones updated.
+ * @param {Object} state
+ * @param {Object[]} records In the order they were found.
+ */
+function applyResultRecords(state, records) {
+  records.forEach((record) => {
+    if (!Object.prototype.hasOwnProperty.call(state.resultCategories, record.url)) {
+      (record.page ? state.pagesResults : state.assetsResults).push(record.url);
+    }
+    state.resultCategories[record.url] = record.category;
+    if (record.meta) state.resultMeta[record.url] = record.meta;
+    if (record.status) {
+      state.urlStatus = state.urlStatus || {};
+      state.urlStatus[record.url] = record.status;
+    }
+  });
+}
+
+/**
+ * Read the request log and sitemap report of a run.
+ * @param {string} runId
+ * @returns {Promise<{requests: Object[], sitemapReport: ?Object}>}
+ *   `requests` are the stored `{ runId, n, entry }` records, in order.
+ */
+async function readRunDetails(runId) {
+  const db = await openResultDb();
+  const transaction = db.transaction(['requests', 'runs']);
+  const [requests, run] = await Promise.all([
+    requestResult(transaction.objectStore('requests').getAll(IDBKeyRange.bound([runId, 0], [runId, Infinity]))),
+    requestResult(transaction.objectStore('runs').get(runId))
+  ]);
+  return { requests, sitemapReport: (run && run.sitemapReport) || null };
+}
+
+/**
+ * Turn the progress state saved in chrome.storage back into a full
+ * state by reading its results, request log and sitemap report.  States
+ * that still hold their results (the service worker's own, or ones
+ * saved before results moved here) are returned as they are.
+ * @param {?Object} saved
+ * @returns {Promise<?Object>}
+ */
+async function loadRunResults(saved) {
+  if (!saved || Array.isArray(saved.pagesResults) || !saved.runId) return saved || null;
+  const { resultCount, ...progress } = saved;
+  const state = { ...progress, pagesResults: [], assetsResults: [], resultCategories: {}, resultMeta: {}, requestLog: [] };
+  const journal = createResultJournal();
+  let after = -1;
+  while (after !== null) {
+    const page = await readResultPage(saved.runId, { after });
+    applyResultRecords(state, page.records);
+    page.records.forEach((record) => {
+      journal.seqs.set(record.url, record.seq);
+      journal.nextSeq = Math.max(journal.nextSeq, record.seq + 1);
+    });
+    after = page.next;
+  }
+  const { requests, sitemapReport } = await readRunDetails(saved.runId);
+  state.requestLog = requests.map((record) => {
+    requestNumbers.set(record.entry, record.n);
+    return record.entry;
+  });
+  if (sitemapReport) {
+    state.sitemapReport = sitemapReport;
+    journal.sitemapCount = Object.keys(sitemapReport).length;
+  }
+  resultJournals.set(state, journal);
+  return state;
+}
+
+/**
+ * Move the results of a state saved before they were kept here into
+ * the stores, under a new run ID.  They are written with the state's
+ * next flushResults.
+ * @param {Object} state A state holding its results, without `runId`.
+ */
+function adoptStateResults(state) {
+  state.runId = `run-${state.startedAt || Date.now()}`;
+  const journal = createResultJournal();
+  journal.requests = (state.requestLog || []).slice();
+  resultJournals.set(state, journal);
+  (state.pagesResults || []).concat(state.assetsResults || []).forEach((url) => noteStoredResult(state, url));
+}
@@ -0,0 +1,61 @@
+// schedule.js
+// Recurring harvest schedules, shared by the service worker (which
+// owns the alarms and runs the harvests) and the popup (which lists
+// them).  Schedules live in chrome.storage.local under SCHEDULES_KEY;
+// each one has a one-shot alarm named after it that is re-armed for
+// the next occurrence every time it fires.
+
+const SCHEDULES_KEY = 'harvestSchedules';
+const SCHEDULE_ALARM_PREFIX = 'harvestSchedule:';
+const SCHEDULE_FREQUENCIES = { daily: 'Daily', weekly: 'Weekly' };
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function scheduleAlarmName(id) {
+  return `${SCHEDULE_ALARM_PREFIX}${id}`;
+}
+
+/**
+ * List the saved schedules.
+ * @returns {Promise<Object[]>} Schedules of the form `{ id, domains,
+ *   frequency, weekday, time, provider, deepHarvest, compareSitemaps,
+ *   checkStatus, normalise, search, nextRunAt, lastRunAt, lastResult }`.
+ */
+async function loadSchedules() {
+  const data = await chrome.storage.local.get(SCHEDULES_KEY);
+  return Array.isArray(data[SCHEDULES_KEY]) ? data[SCHEDULES_KEY] : [];
+}
+
+async function saveSchedules(schedules) {
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+}
+
+/**
+ * The next time a schedule is due after `from`, in local time.
+ * @param {Object} schedule `frequency` is a key of SCHEDULE_FREQUENCIES,
+ *   `time` is `HH:MM` and `weekday` (weekly only) is 0 for Sunday.
+ * @param {number} [from] Timestamp to start from; defaults to now.
+ * @returns {number} Timestamp in milliseconds.
+ */
+function nextScheduleTime(schedule, from = Date.now()) {
+  const [hours, minutes] = String(schedule.time || '').split(':').map(Number);
+  const weekly = schedule.frequency === 'weekly';
+  const next = new Date(from);
+  next.setHours(hours || 0, minutes || 0, 0, 0);
+  if (weekly) {
+    next.setDate(next.getDate() + ((schedule.weekday - next.getDay() + 7) % 7));
+  }
+  while (next.getTime() <= from) {
+    next.setDate(next.getDate() + (weekly ? 7 : 1));
+  }
+  return next.getTime();
+}
+
+/**
+ * Human readable summary such as "Weekly on Monday at 09:00".
+ * @param {Object} schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const when = schedule.frequency === 'weekly' ? `Weekly on ${WEEKDAYS[schedule.weekday]}` : 'Daily';
+  return `${when} at ${schedule.time}`;
+}
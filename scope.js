@@ -0,0 +1,208 @@
+// scope.js
+// Decides which URLs belong to a harvested domain.  Shared by the
+// service worker (which only keeps results inside a domain's scope) and
+// export.js (which groups results by domain), so exports always agree
+// with what was collected.  A domain entry is a host, optionally
+// followed by rules separated by spaces:
+//
+//   example.com                      the host and all of its subdomains
+//   =example.com                     this exact host only
+//   https://example.com              only https URLs
+//   example.com/docs /blog           only URLs under these path prefixes
+//   example.com +www.example.com +*.shop.example.com
+//                                    only these hosts
+//   example.com -*.staging.example.com
+//                                    every host except these
+//   example.com | inurl:product -inurl:tag
+//                                    search terms added to this
+//                                    domain's queries (query.js)
+//
+// Hosts match on label boundaries, so example.com never matches
+// notexample.com.  `*` in a host pattern matches any run of characters.
+
+/**
+ * Turn a user-entered host into the lowercase ASCII form URLs use, or
+ * '' if it is not a usable host name.  Internationalised names are
+ * converted to punycode (`bücher.de` becomes `xn--bcher-kva.de`); ports,
+ * credentials, IP addresses and labels that DNS does not allow are
+ * refused.
+ * @param {string} text
+ * @returns {string}
+ */
+function toHostname(text) {
+  if (!text || /[\s/\\?#@:]/.test(text)) return '';
+  let host;
+  try {
+    host = new URL(`http://${text}`).hostname.replace(/\.$/, '');
+  } catch (e) {
+    return '';
+  }
+  const labels = host.split('.');
+  const valid =
+    host.length <= 253 &&
+    labels.length > 1 &&
+    labels.every((label) => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label)) &&
+    // Top-level domains are never numeric, which also rules out IPv4
+    /[a-z]/.test(labels[labels.length - 1]);
+  return valid ? host : '';
+}
+
+/**
+ * The domain entry for the site a tab shows: its host name without
+ * `www.`, or '' for pages that are not on a website (`chrome://` pages,
+ * local files, the extension's own pages).  The host is kept whole
+ * rather than cut down to a registrable domain, so a site on a shared
+ * host such as `alice.github.io` stays on its own.
+ * @param {string} pageUrl
+ * @returns {string}
+ */
+function siteDomainEntry(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return '';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return '';
+  return toHostname(url.hostname.replace(/^www\./, ''));
+}
+
+/**
+ * The host access the sitemap comparison and the status check need: the
+ * run's domains and their subdomains, never other sites.
+ * @param {string[]} entries Domain entries of the run.
+ * @returns {string[]} Origin patterns for chrome.permissions.
+ */
+function siteAccessOrigins(entries) {
+  const origins = [];
+  entries.forEach((entry) => {
+    const { domain } = parseDomainScope(entry);
+    origins.push(`*://${domain}/*`, `*://*.${domain}/*`);
+  });
+  return origins;
+}
+
+function normalisePathPrefix(path) {
+  const prefix = path.toLowerCase().replace(/\/+$/, '');
+  return prefix.startsWith('/') ? prefix : `/${prefix}`;
+}
+
+function parseHostPattern(rule, entry) {
+  const pattern = rule.slice(1).toLowerCase();
+  if (!/^[a-z0-9*-]+(\.[a-z0-9*-]+)+$/.test(pattern)) {
+    throw new Error(`"${rule}" in "${entry}" is not a host name or pattern.`);
+  }
+  return pattern;
+}
+
+/**
+ * Parse a domain entry (see the top of this file).
+ * @param {string} entry
+ * @returns {{domain: string, exact: boolean, scheme: ?string, paths: string[], include: string[], exclude: string[], terms: string[]}}
+ * @throws {Error} With a message fit for the user when the entry is invalid.
+ */
+function parseDomainScope(entry) {
+  const text = String(entry || '').trim();
+  const bar = text.indexOf('|');
+  const [target, ...rules] = (bar === -1 ? text : text.slice(0, bar)).trim().split(/\s+/);
+  if (!target) throw new Error('Enter a domain.');
+  let rest = target;
+  const exact = rest.startsWith('=');
+  if (exact) rest = rest.slice(1);
+  const schemeMatch = rest.match(/^(https?):\/\//i);
+  if (schemeMatch) rest = rest.slice(schemeMatch[0].length);
+  const slash = rest.indexOf('/');
+  const domain = toHostname(slash === -1 ? rest : rest.slice(0, slash));
+  if (!domain) throw new Error(`"${target}" is not a valid domain.`);
+  const scope = {
+    domain,
+    exact,
+    scheme: schemeMatch ? `${schemeMatch[1].toLowerCase()}:` : null,
+    paths: [],
+    include: [],
+    exclude: [],
+    terms: bar === -1 ? [] : parseQueryTerms(text.slice(bar + 1), `Search terms for ${domain}`)
+  };
+  const addPath = (path) => {
+    const prefix = normalisePathPrefix(path);
+    if (prefix !== '/' && !scope.paths.includes(prefix)) scope.paths.push(prefix);
+  };
+  if (slash !== -1) addPath(rest.slice(slash));
+  rules.forEach((rule) => {
+    if (rule.startsWith('/')) {
+      addPath(rule);
+    } else if (rule.startsWith('+')) {
+      scope.include.push(parseHostPattern(rule, text));
+    } else if (rule.startsWith('-')) {
+      scope.exclude.push(parseHostPattern(rule, text));
+    } else {
+      throw new Error(`Unknown rule "${rule}" in "${text}". Use /path, +host or -host, and | before search terms.`);
+    }
+  });
+  return scope;
+}
+
+/**
+ * The scopes of a fetch state, one per entry of `state.domains`.
+ * States saved before scopes existed only have the plain domains.
+ * @param {Object} state
+ * @returns {Object[]}
+ */
+function stateScopes(state) {
+  if (Array.isArray(state.scopes)) return state.scopes;
+  return (Array.isArray(state.domains) ? state.domains : []).map((domain) => {
+    try {
+      return parseDomainScope(domain);
+    } catch (e) {
+      const host = String(domain).toLowerCase();
+      return { domain: host, exact: false, scheme: null, paths: [], include: [], exclude: [], terms: [] };
+    }
+  });
+}
+
+function hostMatchesPattern(host, pattern) {
+  if (!pattern.includes('*')) return host === pattern;
+  const source = pattern.split('*').map((part) => part.replace(/\./g, '\\.')).join('.*');
+  return new RegExp(`^${source}$`).test(host);
+}
+
+/**
+ * Whether a URL falls inside a domain scope.
+ * @param {string} url
+ * @param {Object} scope Result of parseDomainScope.
+ * @returns {boolean}
+ */
+function urlInScope(url, scope) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const host = urlObj.hostname.toLowerCase();
+  const inDomain = scope.exact ? host === scope.domain : host === scope.domain || host.endsWith(`.${scope.domain}`);
+  if (!inDomain) return false;
+  if (scope.scheme && urlObj.protocol !== scope.scheme) return false;
+  if (scope.include.length && !scope.include.some((pattern) => hostMatchesPattern(host, pattern))) return false;
+  if (scope.exclude.some((pattern) => hostMatchesPattern(host, pattern))) return false;
+  if (scope.paths.length) {
+    const path = urlObj.pathname.toLowerCase();
+    return scope.paths.some((prefix) => path === prefix || path.startsWith(`${prefix}/`));
+  }
+  return true;
+}
+
+/**
+ * Whether a stored result falls inside a scope.  Stored URLs are
+ * normalised (see normalise.js) and may have lost the scheme or `www.`
+ * a scope was written for, so the raw variants that collapsed into the
+ * URL count as well.
+ * @param {string} url
+ * @param {?Object} meta The result's entry in `state.resultMeta`.
+ * @param {Object} scope
+ * @returns {boolean}
+ */
+function resultInScope(url, meta, scope) {
+  if (urlInScope(url, scope)) return true;
+  return Boolean(meta && Array.isArray(meta.variants) && meta.variants.some((variant) => urlInScope(variant, scope)));
+}
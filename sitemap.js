@@ -0,0 +1,197 @@
+// sitemap.js
+// Sitemap discovery and comparison, loaded into the service worker with
+// importScripts.  For each domain it reads robots.txt, follows the
+// sitemap indexes and urlsets it declares (plain or gzipped) and diffs
+// the declared URLs against the URLs found in the search index.
+// Service workers have no DOMParser, so sitemaps are parsed with
+// regular expressions that only look at <loc> elements.
+
+// Tried in order when robots.txt is missing or declares no sitemap.
+const SITEMAP_FALLBACK_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+// Bounds per domain so a huge sitemap tree cannot exhaust storage.
+const MAX_SITEMAP_FILES = 50;
+const MAX_SITEMAP_URLS = 50000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const num = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : entity;
+    }
+    return XML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Extract the sitemap URLs declared in a robots.txt file.
+ * @param {string} text robots.txt contents.
+ * @returns {string[]}
+ */
+function parseRobotsSitemaps(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter((line) => /^sitemap\s*:/i.test(line))
+    .map((line) => line.replace(/^sitemap\s*:\s*/i, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a sitemap document.  Sitemap indexes yield the child sitemaps
+ * to follow; urlsets and plain text sitemaps (one URL per line) yield
+ * page URLs.
+ * @param {string} text
+ * @returns {{type: 'index'|'urlset'|'text', locs: string[]}}
+ */
+function parseSitemap(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed.startsWith('<')) {
+    const locs = trimmed.split(/\r?\n/).map((line) => line.trim()).filter((line) => /^https?:\/\//i.test(line));
+    return { type: 'text', locs };
+  }
+  const type = /<sitemapindex[\s>]/i.test(trimmed) ? 'index' : 'urlset';
+  const locs = [];
+  const locPattern = /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi;
+  let match;
+  while ((match = locPattern.exec(trimmed)) !== null) {
+    const loc = decodeXmlText(match[1].trim());
+    if (loc) locs.push(loc);
+  }
+  return { type, locs };
+}
+
+/**
+ * Download a sitemap or robots.txt file as text, inflating gzip bodies
+ * that the server did not already decode via Content-Encoding.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function fetchSitemapText(url) {
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const buffer = await response.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Collect every URL declared in a domain's sitemaps.
+ * @param {string} domain
+ * @param {function(string): void} [onProgress] Called with each sitemap URL before it is read.
+ * @returns {Promise<{sources: string[], errors: string[], urls: string[], truncated: boolean}>}
+ */
+async function collectSitemapUrls(domain, onProgress) {
+  const result = { sources: [], errors: [], urls: [], truncated: false };
+  let queue = [];
+  try {
+    queue = parseRobotsSitemaps(await fetchSitemapText(`https://${domain}/robots.txt`));
+  } catch (err) {
+    result.errors.push(`robots.txt: ${err.message}`);
+  }
+  const usingFallback = queue.length === 0;
+  const fallbackUrls = SITEMAP_FALLBACK_PATHS.map((path) => `https://${domain}${path}`);
+  if (usingFallback) {
+    queue = fallbackUrls.slice();
+  }
+  const visited = new Set();
+  const urls = new Set();
+  while (queue.length && visited.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+    if (onProgress) onProgress(sitemapUrl);
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchSitemapText(sitemapUrl));
+    } catch (err) {
+      result.errors.push(`${sitemapUrl}: ${err.message}`);
+      continue;
+    }
+    result.sources.push(sitemapUrl);
+    if (usingFallback && result.sources.length === 1) {
+      // The first default location that exists is enough.
+      queue = queue.filter((url) => !fallbackUrls.includes(url));
+    }
+    if (parsed.type === 'index') {
+      queue.push(...parsed.locs);
+      continue;
+    }
+    for (const loc of parsed.locs) {
+      if (urls.size >= MAX_SITEMAP_URLS) {
+        result.truncated = true;
+        break;
+      }
+      urls.add(loc);
+    }
+  }
+  if (queue.length) result.truncated = true;
+  if (usingFallback && result.sources.length === 0) {
+    result.errors.push('No sitemap declared in robots.txt or found at the default locations.');
+  }
+  result.urls = Array.from(urls);
+  return result;
+}
+
+/**
+ * Key used to match sitemap URLs with indexed URLs.  Ignores the
+ * scheme, a leading `www.`, trailing slashes and fragments, which
+ * sitemaps and search results routinely disagree on.
+ * @param {string} url
+ * @returns {string}
+ */
+function sitemapComparisonKey(url) {
+  try {
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    return `${host}${urlObj.pathname.replace(/\/+$/, '')}${urlObj.search}`;
+  } catch (e) {
+    return url.trim();
+  }
+}
+
+/**
+ * Diff sitemap URLs against indexed URLs.
+ * @param {string[]} sitemapUrls
+ * @param {string[]} indexedUrls
+ * @returns {{inSitemapNotIndexed: string[], indexedNotInSitemap: string[], inBoth: string[]}}
+ */
+function compareSitemapUrls(sitemapUrls, indexedUrls) {
+  const sitemapKeys = new Set(sitemapUrls.map(sitemapComparisonKey));
+  const indexedKeys = new Set(indexedUrls.map(sitemapComparisonKey));
+  return {
+    inSitemapNotIndexed: sitemapUrls.filter((url) => !indexedKeys.has(sitemapComparisonKey(url))),
+    indexedNotInSitemap: indexedUrls.filter((url) => !sitemapKeys.has(sitemapComparisonKey(url))),
+    inBoth: indexedUrls.filter((url) => sitemapKeys.has(sitemapComparisonKey(url)))
+  };
+}
+
+/**
+ * Read a domain's sitemaps and compare them with the indexed URLs that
+ * belong to the domain.
+ * @param {string} domain
+ * @param {string[]} indexedUrls
+ * @param {function(string): void} [onProgress]
+ * @param {function(string): boolean} [keepUrl] Limits the comparison to
+ *   the sitemap URLs it accepts, e.g. those inside the harvested scope.
+ * @returns {Promise<Object>} Report with `sources`, `errors`, `truncated`,
+ *   `sitemapCount` and the three comparison buckets.
+ */
+async function buildSitemapReport(domain, indexedUrls, onProgress, keepUrl) {
+  const collected = await collectSitemapUrls(domain, onProgress);
+  const sitemapUrls = keepUrl ? collected.urls.filter(keepUrl) : collected.urls;
+  return {
+    sources: collected.sources,
+    errors: collected.errors,
+    truncated: collected.truncated,
+    sitemapCount: sitemapUrls.length,
+    ...compareSitemapUrls(sitemapUrls, indexedUrls)
+  };
+}
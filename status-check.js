@@ -0,0 +1,168 @@
+// status-check.js
+// Live HTTP check of harvested URLs, loaded into the service worker with
+// importScripts and by the pages that show the results.  After a run
+// each collected URL can be requested once to find the ones that are
+// now broken (4xx/5xx), redirected or marked `noindex`.  Redirects are
+// followed, so the final status and URL are recorded together with the
+// `X-Robots-Tag` header and, for HTML pages, the meta robots and
+// canonical link of the page.  The run only has access to its own
+// domains (siteAccessOrigins in scope.js), so a redirect to another
+// site is recorded as not followed.  Like sitemap.js this parses HTML
+// with regular expressions, as service workers have no DOMParser.
+
+// URLs requested at the same time, across all domains
+const STATUS_CHECK_CONCURRENCY = 4;
+const STATUS_CHECK_TIMEOUT_MS = 15000;
+// Only the start of a page is read, as far as the end of its <head>
+const STATUS_CHECK_MAX_HTML_BYTES = 256 * 1024;
+
+/**
+ * Read an HTML response up to the end of its head.
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readHtmlHead(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  let bytes = 0;
+  while (bytes < STATUS_CHECK_MAX_HTML_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.length;
+    html += decoder.decode(value, { stream: true });
+    if (/<\/head>|<body[\s>]/i.test(html)) break;
+  }
+  reader.cancel().catch(() => {});
+  return html;
+}
+
+function parseTagAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z][a-z0-9:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeXmlText(match[2] ?? match[3] ?? match[4]).trim();
+  }
+  return attributes;
+}
+
+/**
+ * Find the robots directives and canonical link in a page's head.
+ * @param {string} html
+ * @param {string} baseUrl For resolving a relative canonical link.
+ * @returns {{metaRobots: string, canonical: string}} '' when absent.
+ */
+function parseHeadSignals(html, baseUrl) {
+  const robots = [];
+  let canonical = '';
+  (html.match(/<(meta|link)\b[^>]*>/gi) || []).forEach((tag) => {
+    const attributes = parseTagAttributes(tag);
+    if (/^<meta/i.test(tag)) {
+      if (/^(robots|googlebot)$/i.test(attributes.name || '') && attributes.content) robots.push(attributes.content);
+    } else if (!canonical && (attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attributes.href) {
+      try {
+        canonical = new URL(attributes.href, baseUrl).toString();
+      } catch (e) {
+        canonical = attributes.href;
+      }
+    }
+  });
+  return { metaRobots: robots.join(', '), canonical };
+}
+
+/**
+ * Whether a URL answers with a redirect, without following it.  The
+ * target of such an answer cannot be read.
+ * @param {string} url
+ * @param {AbortSignal} signal
+ * @returns {Promise<boolean>}
+ */
+async function answersWithRedirect(url, signal) {
+  try {
+    const response = await fetch(url, { credentials: 'omit', redirect: 'manual', signal });
+    return response.type === 'opaqueredirect';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Request a URL and record what it returns now.
+ * @param {string} url
+ * @returns {Promise<Object>} `{ status, finalUrl?, xRobotsTag?,
+ *   metaRobots?, canonical?, noindex, checkedAt }`; `{ redirectNotFollowed:
+ *   true, noindex: false, checkedAt }` when it redirects to a site the run
+ *   has no access to; or `{ error, checkedAt }` when the URL could not be
+ *   requested.  `finalUrl` is only set when the request was redirected.
+ */
+async function checkUrlStatus(url) {
+  const checkedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), STATUS_CHECK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { credentials: 'omit', redirect: 'follow', signal: controller.signal });
+    const check = { status: response.status, noindex: false, checkedAt };
+    if (response.redirected && response.url !== url) check.finalUrl = response.url;
+    const xRobotsTag = response.headers.get('x-robots-tag');
+    if (xRobotsTag) check.xRobotsTag = xRobotsTag;
+    const type = response.headers.get('content-type') || '';
+    if (response.ok && response.body && /text\/html|application\/xhtml\+xml/i.test(type)) {
+      const { metaRobots, canonical } = parseHeadSignals(await readHtmlHead(response), response.url || url);
+      if (metaRobots) check.metaRobots = metaRobots;
+      if (canonical) check.canonical = canonical;
+    } else if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    check.noindex = /\b(noindex|none)\b/i.test(`${check.xRobotsTag || ''} ${check.metaRobots || ''}`);
+    return check;
+  } catch (err) {
+    if (err && err.name === 'AbortError') {
+      return { error: `No response within ${STATUS_CHECK_TIMEOUT_MS / 1000} s`, checkedAt };
+    }
+    // A redirect to a host without access fails like a network error;
+    // asking again without following it tells the two apart
+    if (await answersWithRedirect(url, controller.signal)) return { redirectNotFollowed: true, noindex: false, checkedAt };
+    return { error: (err && err.message) || 'Request failed', checkedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * What a check found worth attention: `error`, `broken` (4xx or 5xx),
+ * `redirected` and/or `noindex`.  An empty list means the URL is fine.
+ * @param {?Object} check Result of checkUrlStatus.
+ * @returns {string[]}
+ */
+function statusCheckFlags(check) {
+  if (!check) return [];
+  if (check.error) return ['error'];
+  const flags = [];
+  if (check.status >= 400) flags.push('broken');
+  if (check.finalUrl || check.redirectNotFollowed) flags.push('redirected');
+  if (check.noindex) flags.push('noindex');
+  return flags;
+}
+
+/**
+ * Count the flags of a run's checks, e.g. for the status line.
+ * @param {Object} urlStatus Checks keyed by URL.
+ * @returns {{checked: number, error: number, broken: number, redirected: number, noindex: number}}
+ */
+function summariseStatusChecks(urlStatus) {
+  const summary = { checked: 0, error: 0, broken: 0, redirected: 0, noindex: 0 };
+  Object.values(urlStatus || {}).forEach((check) => {
+    summary.checked++;
+    statusCheckFlags(check).forEach((flag) => {
+      summary[flag]++;
+    });
+  });
+  return summary;
+}
+
+function describeStatusChecks(summary) {
+  const parts = [`${summary.broken} broken`, `${summary.redirected} redirected`, `${summary.noindex} noindex`];
+  if (summary.error) parts.push(`${summary.error} unreachable`);
+  return `${summary.checked} URLs checked: ${parts.join(', ')}`;
+}
@@ -0,0 +1,383 @@
+// cli.test.js
+// Runs cli.js against mock Custom Search, Bing and Brave endpoints on
+// localhost.  Uses only Node's built-in test runner:
+//
+//   node --test test/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Results the mock returns per domain and search type; 3 web results
+// come on pages of 10, so one request per domain and type
+const RESULTS = {
+  'example.com': {
+    web: ['https://example.com/', 'https://example.com/docs/a', 'https://www.example.com/report.pdf'],
+    image: ['https://example.com/img/logo.png']
+  },
+  'example.org': { web: ['https://example.org/about', 'https://elsewhere.net/page'], image: [] }
+};
+
+let server;
+let endpoint;
+let requests = [];
+// Path and headers of each request, in the order of `requests`
+let calls = [];
+// Lets a test change how the mock answers a request
+let answer = null;
+
+function searchResponse(params) {
+  const domain = (params.get('q') || '').match(/^site:(\S+)/)[1];
+  const links = (RESULTS[domain] || { web: [], image: [] })[params.get('searchType') === 'image' ? 'image' : 'web'];
+  const start = Number(params.get('start') || 1);
+  return {
+    status: 200,
+    body: {
+      searchInformation: { totalResults: String(links.length) },
+      items: links.slice(start - 1, start + 9).map((link) => ({ link, title: `Title of ${link}` }))
+    }
+  };
+}
+
+function domainLinks(params, images) {
+  const domain = (params.get('q') || '').match(/^site:(\S+)/)[1];
+  return (RESULTS[domain] || { web: [], image: [] })[images ? 'image' : 'web'];
+}
+
+// Bing answers under /v7.0/search and /v7.0/images/search
+function bingResponse(params, images) {
+  const links = domainLinks(params, images);
+  const offset = Number(params.get('offset') || 0);
+  const page = links.slice(offset, offset + Number(params.get('count')));
+  if (images) {
+    return {
+      status: 200,
+      body: {
+        totalEstimatedMatches: links.length,
+        value: page.map((link) => ({ contentUrl: link, name: `Image ${link}`, hostPageUrl: 'https://example.com/', encodingFormat: 'png' }))
+      }
+    };
+  }
+  return {
+    status: 200,
+    body: { webPages: { totalEstimatedMatches: links.length, value: page.map((url) => ({ url, name: `Title of ${url}`, snippet: '' })) } }
+  };
+}
+
+// Brave answers under /res/v1/web/search and /res/v1/images/search,
+// with pages of `count` counted by `offset`
+function braveResponse(params, images) {
+  const links = domainLinks(params, images);
+  if (images) {
+    return { status: 200, body: { results: links.map((link) => ({ url: 'https://example.com/', title: link, properties: { url: link } })) } };
+  }
+  const count = Number(params.get('count'));
+  const start = Number(params.get('offset') || 0) * count;
+  return {
+    status: 200,
+    body: {
+      query: { more_results_available: start + count < links.length },
+      web: { results: links.slice(start, start + count).map((url) => ({ url, title: `Title of ${url}`, description: '' })) }
+    }
+  };
+}
+
+function mockResponse(path, params) {
+  const images = /\/images\//.test(path);
+  if (path.startsWith('/v7.0/')) return bingResponse(params, images);
+  if (path.startsWith('/res/v1/')) return braveResponse(params, images);
+  return searchResponse(params);
+}
+
+function quotaError() {
+  return {
+    status: 403,
+    body: { error: { message: 'Quota exceeded for quota metric', errors: [{ reason: 'dailyLimitExceeded' }] } }
+  };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+    requests.push(params);
+    calls.push({ path: url.pathname, headers: req.headers });
+    const { status, body } = (answer && answer(params, requests.length, url.pathname)) || mockResponse(url.pathname, params);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/customsearch/v1`;
+});
+
+const tempDirs = [];
+
+after(() => {
+  server.close();
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipf-cli-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Run the CLI with fast rate limits against the mock.
+ * @param {string[]} args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCli(args, env = {}) {
+  requests = [];
+  calls = [];
+  const fast = ['--min-interval', '50', '--burst', '50'];
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...fast, ...args],
+      { env: { PATH: process.env.PATH, ...env }, timeout: 30000 },
+      (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      }
+    );
+  });
+}
+
+test('writes the export grouped by domain and reports progress on stderr', async () => {
+  const out = path.join(tempDir(), 'urls.json');
+  const { code, stderr } = await runCli([
+    '--key', 'test-key', '--cx', 'test-cx', '--endpoint', endpoint,
+    '--domains', 'example.com,example.org', '--out', out
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Fetched example\.com page 1 of 1/);
+  assert.match(stderr, /Fetched 5 URLs\./);
+  const grouped = JSON.parse(fs.readFileSync(out, 'utf8'));
+  assert.deepEqual(Object.keys(grouped), ['example.com', 'example.org']);
+  assert.deepEqual(
+    grouped['example.com'].pages.map((entry) => entry.url),
+    ['https://example.com/', 'https://example.com/docs/a']
+  );
+  // Normalised as in the extension, which drops `www.` by default
+  assert.deepEqual(grouped['example.com'].documents.map((entry) => entry.url), ['https://example.com/report.pdf']);
+  assert.deepEqual(grouped['example.com'].images.map((entry) => entry.url), ['https://example.com/img/logo.png']);
+  assert.equal(grouped['example.com'].status, 'done');
+  // Results outside the requested domains are dropped
+  assert.deepEqual(grouped['example.org'].pages.map((entry) => entry.url), ['https://example.org/about']);
+  assert.equal(requests.length, 4);
+  requests.forEach((params) => {
+    assert.equal(params.get('key'), 'test-key');
+    assert.equal(params.get('cx'), 'test-cx');
+  });
+});
+
+test('takes options from a config file, with flags winning', async () => {
+  const dir = tempDir();
+  const config = path.join(dir, 'config.json');
+  fs.writeFileSync(
+    config,
+    JSON.stringify({
+      key: 'config-key',
+      cx: 'config-cx',
+      endpoint,
+      domains: ['example.org'],
+      format: 'json',
+      terms: 'inurl:about',
+      params: { lr: 'lang_de' }
+    })
+  );
+  const { code, stdout, stderr } = await runCli(['--config', config, '--format', 'csv', '--quiet']);
+  assert.equal(code, 0, stderr);
+  assert.equal(stderr, '');
+  const lines = stdout.trim().split('\r\n');
+  assert.match(lines[0], /^domain,category,url,/);
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /^example\.org,pages,https:\/\/example\.org\/about,/);
+  assert.equal(requests[0].get('key'), 'config-key');
+  assert.equal(requests[0].get('q'), 'site:example.org inurl:about');
+  assert.equal(requests[0].get('lr'), 'lang_de');
+});
+
+test('reads credentials from the environment', async () => {
+  const { code, stderr } = await runCli(['--endpoint', endpoint, '--domains', 'example.org', '--format', 'txt'], {
+    IPF_API_KEY: 'env-key',
+    IPF_CSE_ID: 'env-cx'
+  });
+  assert.equal(code, 0, stderr);
+  assert.equal(requests[0].get('key'), 'env-key');
+  assert.equal(requests[0].get('cx'), 'env-cx');
+});
+
+test('retries requests answered with a rate limit', async () => {
+  answer = (params, count) => (count === 1 ? { status: 429, body: { error: { message: 'Too many requests' } } } : null);
+  try {
+    const { code, stdout, stderr } = await runCli([
+      '--key', 'k', '--cx', 'c', '--endpoint', endpoint, '--domains', 'example.org', '--format', 'txt'
+    ]);
+    assert.equal(code, 0, stderr);
+    assert.equal(stdout, 'https://example.org/about\n');
+    assert.equal(requests.length, 3);
+  } finally {
+    answer = null;
+  }
+});
+
+test('moves on to the next key when one runs out of quota', async () => {
+  answer = (params) => (params.get('key') === 'spent' ? quotaError() : null);
+  try {
+    const { code, stdout, stderr } = await runCli([
+      '--key', 'spent', '--key', 'fresh', '--cx', 'c', '--endpoint', endpoint, '--domains', 'example.org', '--format', 'txt'
+    ]);
+    assert.equal(code, 0, stderr);
+    assert.equal(stdout, 'https://example.org/about\n');
+    assert.match(stderr, /Continuing with key …resh/);
+  } finally {
+    answer = null;
+  }
+});
+
+test('exits with 1 and keeps what was collected when the quota runs out', async () => {
+  const out = path.join(tempDir(), 'urls.json');
+  answer = (params, count) => (count > 1 ? quotaError() : null);
+  try {
+    const { code, stderr } = await runCli([
+      '--key', 'k', '--cx', 'c', '--endpoint', endpoint, '--domains', 'example.com', '--out', out
+    ]);
+    assert.equal(code, 1);
+    assert.match(stderr, /Google Custom Search quota exceeded/);
+    const grouped = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.equal(grouped['example.com'].status, 'partial');
+    assert.equal(grouped['example.com'].pages.length + grouped['example.com'].documents.length, 3);
+  } finally {
+    answer = null;
+  }
+});
+
+test('rejects invalid options with exit code 2', async () => {
+  const cases = [
+    [['--domains', 'example.com', '--cx', 'c'], /Pass an API key/],
+    [['--key', 'k', '--domains', 'example.com'], /needs a search engine ID/],
+    [['--key', 'k', '--cx', 'c'], /Pass the domains/],
+    [['--key', 'k', '--cx', 'c', '--domains', 'not a domain'], /not a valid domain/],
+    [['--key', 'k', '--cx', 'c', '--domains', 'example.com', '--format', 'pdf'], /Unknown format: pdf/],
+    [['--key', 'k', '--cx', 'c', '--domains', 'example.com', '--burst', '0'], /Burst \(requests\)/],
+    [['--unknown'], /Unknown option '--unknown'/]
+  ];
+  for (const [args, message] of cases) {
+    const { code, stderr } = await runCli(args);
+    assert.equal(code, 2, args.join(' '));
+    assert.match(stderr, message);
+  }
+  assert.equal(requests.length, 0);
+});
+
+// Base URL of the mock for an engine's endpoint, e.g. /v7.0 for Bing
+function mockEndpoint(path) {
+  return endpoint.replace('/customsearch/v1', path);
+}
+
+test('harvests with Bing Web Search, mapping the search parameters', async () => {
+  const { code, stdout, stderr } = await runCli([
+    '--provider', 'bing', '--key', 'bing-key', '--endpoint', mockEndpoint('/v7.0'),
+    '--domains', 'example.com', '--param', 'dateRestrict=m1', '--param', 'gl=de', '--param', 'safe=active', '--format', 'txt'
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.deepEqual(stdout.trim().split('\n').sort(), [
+    'https://example.com/',
+    'https://example.com/docs/a',
+    'https://example.com/img/logo.png',
+    'https://example.com/report.pdf'
+  ]);
+  assert.deepEqual(calls.map((call) => call.path).sort(), ['/v7.0/images/search', '/v7.0/search']);
+  calls.forEach((call) => assert.equal(call.headers['ocp-apim-subscription-key'], 'bing-key'));
+  const web = requests[calls.findIndex((call) => call.path === '/v7.0/search')];
+  assert.equal(web.get('q'), 'site:example.com');
+  assert.equal(web.get('responseFilter'), 'Webpages');
+  assert.equal(web.get('count'), '50');
+  assert.equal(web.get('offset'), '0');
+  assert.equal(web.get('cc'), 'DE');
+  assert.equal(web.get('safeSearch'), 'Strict');
+  assert.match(web.get('freshness'), /^\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}$/);
+  assert.equal(web.get('key'), null);
+});
+
+test('harvests with Brave Search, paging by offset', async () => {
+  const { code, stdout, stderr } = await runCli([
+    '--provider', 'brave', '--key', 'brave-key', '--endpoint', mockEndpoint('/res/v1'),
+    '--domains', 'example.com', '--param', 'lr=lang_de', '--param', 'dateRestrict=w1', '--format', 'txt'
+  ]);
+  assert.equal(code, 0, stderr);
+  assert.equal(stdout.trim().split('\n').length, 4);
+  calls.forEach((call) => assert.equal(call.headers['x-subscription-token'], 'brave-key'));
+  const web = requests[calls.findIndex((call) => call.path === '/res/v1/web/search')];
+  assert.equal(web.get('offset'), '0');
+  assert.equal(web.get('count'), '20');
+  assert.equal(web.get('result_filter'), 'web');
+  assert.equal(web.get('search_lang'), 'de');
+  assert.match(web.get('freshness'), /^\d{4}-\d{2}-\d{2}to\d{4}-\d{2}-\d{2}$/);
+});
+
+test('splits Brave queries in a deep harvest when more results are available', async () => {
+  // The root query has more results than a query can page through; the
+  // narrower ones do not
+  answer = (params, count, path) =>
+    path === '/res/v1/web/search' && params.get('q') === 'site:example.com'
+      ? {
+          status: 200,
+          body: {
+            query: { more_results_available: true },
+            web: { results: [{ url: 'https://example.com/docs/a' }, { url: 'https://example.com/blog/b' }] }
+          }
+        }
+      : null;
+  try {
+    const { code, stderr } = await runCli([
+      '--provider', 'brave', '--key', 'k', '--endpoint', mockEndpoint('/res/v1'), '--domains', 'example.com', '--deep', '--format', 'txt'
+    ]);
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Splitting example\.com pages into \d+ sub-queries/);
+    const queries = requests.filter((params, index) => calls[index].path === '/res/v1/web/search').map((params) => params.get('q'));
+    assert.ok(queries.some((query) => query.startsWith('site:example.com/docs')), queries.join(', '));
+  } finally {
+    answer = null;
+  }
+});
+
+test('recognises the quota and rate-limit answers of Bing and Brave', async () => {
+  const cases = [
+    ['bing', '/v7.0', { status: 403, body: { error: { code: 'OutOfCallVolume', message: 'Out of call volume quota.' } } }, /Bing Web Search quota exceeded/],
+    ['brave', '/res/v1', { status: 429, body: { error: { code: 'QUOTA_LIMITED', detail: 'Quota exceeded.' } } }, /Brave Search quota exceeded/]
+  ];
+  for (const [provider, base, error, message] of cases) {
+    answer = () => error;
+    try {
+      const { code, stderr } = await runCli([
+        '--provider', provider, '--key', 'k', '--endpoint', mockEndpoint(base), '--domains', 'example.org', '--format', 'txt'
+      ]);
+      assert.equal(code, 1, provider);
+      assert.match(stderr, message);
+    } finally {
+      answer = null;
+    }
+  }
+  for (const [provider, base] of [['bing', '/v7.0'], ['brave', '/res/v1']]) {
+    answer = (params, count) => (count === 1 ? { status: 429, body: { error: { message: 'Too many requests' } } } : null);
+    try {
+      const { code, stdout, stderr } = await runCli([
+        '--provider', provider, '--key', 'k', '--endpoint', mockEndpoint(base), '--domains', 'example.org', '--format', 'txt'
+      ]);
+      assert.equal(code, 0, `${provider}: ${stderr}`);
+      assert.equal(stdout, 'https://example.org/about\n');
+      assert.equal(requests.length, 3, provider);
+    } finally {
+      answer = null;
+    }
+  }
+});
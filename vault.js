@@ -0,0 +1,102 @@
+// vault.js
+// Encrypts the saved credentials with a passphrase (see credentials.js
+// for when).  A key is derived from the passphrase with PBKDF2 and the
+// credentials are sealed with AES-GCM, both from WebCrypto; the record
+// kept in chrome.storage.local holds only the salt, the IV and the
+// ciphertext.  Loaded into the service worker with importScripts and
+// by the popup.
+
+const VAULT_ITERATIONS = 310000;
+const VAULT_MIN_PASSPHRASE = 8;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derive the vault's AES-GCM key from a passphrase.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} Extractable, so an unlocked vault can
+ *   keep it for the rest of the browser session.
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey'
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Start a vault for a new passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<{key: CryptoKey, salt: string, iterations: number}>}
+ * @throws {Error} When the passphrase is too short.
+ */
+async function createVaultKey(passphrase) {
+  if (String(passphrase || '').length < VAULT_MIN_PASSPHRASE) {
+    throw new Error(`Use a passphrase of at least ${VAULT_MIN_PASSPHRASE} characters.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    key: await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS),
+    salt: bytesToBase64(salt),
+    iterations: VAULT_ITERATIONS
+  };
+}
+
+/**
+ * Encrypt values with the vault's key.
+ * @param {CryptoKey} key
+ * @param {Object} values Anything JSON can hold.
+ * @param {{salt: string, iterations: number}} params Kept with the
+ *   record so the key can be derived again.
+ * @returns {Promise<Object>} The record to store: `{ version, salt,
+ *   iterations, iv, data }`.
+ */
+async function sealVault(key, values, params) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(values)));
+  return { version: 1, salt: params.salt, iterations: params.iterations, iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt a vault record with its passphrase.
+ * @param {Object} record Result of sealVault.
+ * @param {string} passphrase
+ * @returns {Promise<{key: CryptoKey, values: Object}>}
+ * @throws {Error} When the passphrase is wrong or the record damaged.
+ */
+async function openVault(record, passphrase) {
+  const key = await deriveVaultKey(passphrase, base64ToBytes(record.salt), record.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data));
+  } catch (e) {
+    throw new Error('Wrong passphrase.');
+  }
+  return { key, values: JSON.parse(new TextDecoder().decode(plain)) };
+}
+
+async function exportVaultKey(key) {
+  return bytesToBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+function importVaultKey(raw) {
+  return crypto.subtle.importKey('raw', base64ToBytes(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}